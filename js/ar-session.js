@@ -0,0 +1,180 @@
+/**
+ * Passthrough AR (WebXR immersive-ar): the capture stands on a real surface
+ * as a tabletop miniature.
+ *
+ * While placing, a reticle follows the surface straight ahead (a hit test
+ * from the viewer), and select — trigger, pinch or screen tap — puts the
+ * scene's floor center there, scaled so its footprint is MINIATURE_SIZE
+ * across. Placement scales and moves the camera rig rather than the splats,
+ * so the manifest transform and VR grabs stay as they are: a rig scaled up
+ * by 1/s makes the scene look s times its size. The clear colour is
+ * transparent for the session so the camera feed shows through.
+ */
+
+import * as THREE from 'three';
+
+/** Metres across the placed scene's footprint. */
+const MINIATURE_SIZE = 0.4;
+
+export class ARSession {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - with XR enabled
+     * @param {THREE.Group} rig - camera rig (the reticle is added to it)
+     */
+    constructor(renderer, rig) {
+        this.renderer = renderer;
+        this.rig = rig;
+        /** True while the reticle is shown and select places the scene. */
+        this.placing = false;
+
+        /** @type {function|null} () => THREE.Box3|null — world bounds of the splats to place */
+        this.getSceneBounds = null;
+        /** @type {function|null} () => boolean — true when select belongs to something
+         *  else (e.g. the VR panel) and must not place the scene */
+        this.captureSelect = null;
+        /** @type {function|null} callback(active: boolean) */
+        this.onSessionChange = null;
+        /** Reference space type the renderer uses outside AR, put back when AR
+         *  ends (three has no getter for it). */
+        this.referenceSpaceType = 'local-floor';
+
+        this._session = null;
+        this._hitTestSource = null;
+        this._saved = null;
+        this._onSessionEnd = this._handleSessionEnd.bind(this);
+
+        this._reticle = new THREE.Mesh(
+            new THREE.RingGeometry(0.04, 0.05, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9, depthTest: false }),
+        );
+        this._reticle.matrixAutoUpdate = false;
+        this._reticle.renderOrder = 999;
+        this._reticle.visible = false;
+        rig.add(this._reticle);
+    }
+
+    /**
+     * Whether this browser and device can run immersive-ar.
+     * @returns {Promise<boolean>}
+     */
+    static async isSupported() {
+        try {
+            return (await navigator.xr?.isSessionSupported('immersive-ar')) ?? false;
+        } catch (e) {
+            console.warn('Could not check AR support:', e.message);
+            return false;
+        }
+    }
+
+    get active() {
+        return this._session !== null;
+    }
+
+    /**
+     * Request an AR session and start placing.
+     * @param {object} [options]
+     * @param {HTMLElement} [options.overlay] - shown over the camera view on
+     *   handheld devices (dom-overlay); it should cancel beforexrselect so
+     *   taps on it don't also place the scene
+     * @throws {Error} if the session is refused
+     */
+    async start({ overlay } = {}) {
+        if (this._session) return;
+        const session = await navigator.xr.requestSession('immersive-ar', {
+            requiredFeatures: ['hit-test'],
+            optionalFeatures: ['local-floor', ...(overlay ? ['dom-overlay'] : [])],
+            ...(overlay ? { domOverlay: { root: overlay } } : {}),
+        });
+
+        const renderer = this.renderer;
+        this._saved = {
+            clearColor: renderer.getClearColor(new THREE.Color()),
+            clearAlpha: renderer.getClearAlpha(),
+            position: this.rig.position.clone(),
+            quaternion: this.rig.quaternion.clone(),
+            scale: this.rig.scale.clone(),
+            referenceSpaceType: this.referenceSpaceType,
+        };
+        renderer.setClearColor(0x000000, 0);
+        this.rig.position.set(0, 0, 0);
+        this.rig.quaternion.identity();
+        this.rig.scale.setScalar(1);
+
+        session.addEventListener('select', () => this._onSelect());
+        // The renderer's sessionend comes after three's own teardown, once it
+        // is no longer presenting and the reference space can change again
+        renderer.xr.addEventListener('sessionend', this._onSessionEnd);
+        this._session = session;
+        this.placing = true;
+        if (this.onSessionChange) this.onSessionChange(true);
+
+        try {
+            // Floor-level origin where granted; hit poses work in either space
+            const floor = session.enabledFeatures?.includes('local-floor') ?? true;
+            renderer.xr.setReferenceSpaceType(floor ? 'local-floor' : 'local');
+            await renderer.xr.setSession(session);
+            const viewerSpace = await session.requestReferenceSpace('viewer');
+            this._hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+        } catch (e) {
+            // The sessionend event puts everything back
+            session.end();
+            throw e;
+        }
+    }
+
+    end() {
+        this._session?.end();
+    }
+
+    /** Show the reticle again to move the scene to another surface. */
+    replace() {
+        if (this._session) this.placing = true;
+    }
+
+    /**
+     * Call once per frame with the XRFrame.
+     * @param {XRFrame|null} frame
+     */
+    update(frame) {
+        this._reticle.visible = false;
+        if (!frame || !this.placing || !this._hitTestSource) return;
+        const hit = frame.getHitTestResults(this._hitTestSource)[0];
+        const pose = hit?.getPose(this.renderer.xr.getReferenceSpace());
+        if (!pose) return;
+        this._reticle.matrix.fromArray(pose.transform.matrix);
+        this._reticle.visible = true;
+    }
+
+    _onSelect() {
+        if (!this.placing || !this._reticle.visible || this.captureSelect?.()) return;
+        const bounds = this.getSceneBounds?.();
+        if (!bounds || bounds.isEmpty()) return;
+
+        // Scene floor center, in world space, lands on the reticle (rig space)
+        const size = bounds.getSize(new THREE.Vector3());
+        const rigScale = Math.max(size.x, size.z, 1e-3) / MINIATURE_SIZE;
+        const base = new THREE.Vector3(
+            (bounds.min.x + bounds.max.x) / 2, bounds.min.y, (bounds.min.z + bounds.max.z) / 2);
+        const spot = new THREE.Vector3().setFromMatrixPosition(this._reticle.matrix);
+        this.rig.scale.setScalar(rigScale);
+        this.rig.position.copy(base).sub(spot.applyQuaternion(this.rig.quaternion).multiplyScalar(rigScale));
+        this.placing = false;
+    }
+
+    _handleSessionEnd() {
+        const saved = this._saved;
+        this.renderer.xr.removeEventListener('sessionend', this._onSessionEnd);
+        this._hitTestSource?.cancel();
+        this._hitTestSource = null;
+        this._session = null;
+        this.placing = false;
+        this._reticle.visible = false;
+
+        this.renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+        this.rig.position.copy(saved.position);
+        this.rig.quaternion.copy(saved.quaternion);
+        this.rig.scale.copy(saved.scale);
+        this.renderer.xr.setReferenceSpaceType(saved.referenceSpaceType);
+        if (this.onSessionChange) this.onSessionChange(false);
+    }
+}
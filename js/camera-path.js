@@ -0,0 +1,247 @@
+/**
+ * Keyframed camera paths for repeatable fly-throughs.
+ *
+ * A keyframe is a camera pose plus the scene time to show at that moment:
+ *
+ *   { t, position: [x, y, z], yaw, pitch, time }
+ *
+ * `t` is seconds along the path, position is in metres, yaw/pitch are in
+ * degrees (the manifest pose convention) and `time` is normalized scene time.
+ * Poses follow a cubic Hermite spline through the keyframes with Catmull-Rom
+ * tangents scaled for uneven key spacing, easing in and out at the ends.
+ * Scene time is interpolated linearly, so it never runs backwards or
+ * overshoots between two keys.
+ *
+ * Paths serialize to JSON ({ version, scene?, keyframes }) so they can sit
+ * next to a scene and be referenced from its manifest entry (`cameraPath`).
+ */
+
+/** Current path file version. */
+export const CAMERA_PATH_VERSION = 1;
+
+/** Seconds between a new keyframe and the previous one. */
+const DEFAULT_KEYFRAME_SPACING = 2.0;
+
+function lerp(a, b, u) {
+    return a + (b - a) * u;
+}
+
+/** Cubic Hermite between p1 and p2 with tangents m1, m2 over a span of h. */
+function hermite(p1, p2, m1, m2, h, u) {
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return (2 * u3 - 3 * u2 + 1) * p1 + (u3 - 2 * u2 + u) * h * m1 +
+           (-2 * u3 + 3 * u2) * p2 + (u3 - u2) * h * m2;
+}
+
+function validateKeyframe(keyframe, index) {
+    const where = `Camera path keyframe ${index}`;
+    if (typeof keyframe !== 'object' || keyframe === null) throw new Error(`${where} is not an object`);
+    const { t, position, yaw, pitch, time } = keyframe;
+    if (!Number.isFinite(t) || t < 0) throw new Error(`${where}: t must be a non-negative number of seconds`);
+    if (!Array.isArray(position) || position.length !== 3 || !position.every(Number.isFinite)) {
+        throw new Error(`${where}: position must be an array of 3 numbers`);
+    }
+    if (!Number.isFinite(yaw) || !Number.isFinite(pitch) || Math.abs(pitch) > 90) {
+        throw new Error(`${where}: yaw and pitch must be numbers of degrees (|pitch| <= 90)`);
+    }
+    if (time !== undefined && !(time >= 0 && time <= 1)) {
+        throw new Error(`${where}: time must be in [0, 1]`);
+    }
+    return { t, position: [...position], yaw, pitch, ...(time !== undefined ? { time } : {}) };
+}
+
+export class CameraPath {
+    /**
+     * @param {object[]} [keyframes] - see module doc; sorted by t on insert
+     * @param {string} [scene] - manifest name of the scene the path was made for
+     */
+    constructor(keyframes = [], scene = undefined) {
+        this.scene = scene;
+        this.keyframes = [];
+        // Errors name each keyframe by its position in the source list
+        keyframes.forEach((k, i) => this.addKeyframe(k, i));
+    }
+
+    /** Path length in seconds. */
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].t : 0;
+    }
+
+    /**
+     * Insert a keyframe, keeping the list sorted by t. One at an existing t
+     * replaces it.
+     * @param {object} keyframe
+     * @param {number} [index] - position named in validation errors
+     */
+    addKeyframe(keyframe, index = this.keyframes.length) {
+        const key = validateKeyframe(keyframe, index);
+        const existing = this.keyframes.findIndex(k => k.t === key.t);
+        if (existing >= 0) {
+            this.keyframes[existing] = key;
+        } else {
+            this.keyframes.push(key);
+            this.keyframes.sort((a, b) => a.t - b.t);
+        }
+    }
+
+    /**
+     * Append a keyframe `spacing` seconds after the last one (the first
+     * keyframe goes at t = 0).
+     * @param {object} pose - { position, yaw, pitch, time? }
+     * @param {number} [spacing]
+     */
+    appendKeyframe(pose, spacing = DEFAULT_KEYFRAME_SPACING) {
+        const t = this.keyframes.length > 0 ? this.duration + spacing : 0;
+        this.addKeyframe({ ...pose, t });
+    }
+
+    /** Remove the last keyframe. */
+    removeLastKeyframe() {
+        this.keyframes.pop();
+    }
+
+    clear() {
+        this.keyframes = [];
+    }
+
+    /**
+     * Interpolated pose at path time t (clamped to the path).
+     * @param {number} t - seconds
+     * @returns {{position: number[], yaw: number, pitch: number, time?: number}|null}
+     *   null for an empty path; time is omitted if the keyframes carry none
+     */
+    sample(t) {
+        const keys = this.keyframes;
+        if (keys.length === 0) return null;
+        if (keys.length === 1 || t <= keys[0].t) return this._pose(keys[0]);
+        if (t >= this.duration) return this._pose(keys[keys.length - 1]);
+
+        let i = 0;
+        while (keys[i + 1].t <= t) i++;
+        const k1 = keys[i];
+        const k2 = keys[i + 1];
+        const h = k2.t - k1.t;
+        const u = (t - k1.t) / h;
+
+        // Yaw is unwrapped so each segment turns the short way round
+        const yaws = this._unwrappedYaws();
+        const channel = (get) => {
+            const tangent = (j) => {
+                // Zero at the ends eases in and out of the path
+                if (j === 0 || j === keys.length - 1) return 0;
+                return (get(j + 1) - get(j - 1)) / (keys[j + 1].t - keys[j - 1].t);
+            };
+            return hermite(get(i), get(i + 1), tangent(i), tangent(i + 1), h, u);
+        };
+
+        const pose = {
+            position: [0, 1, 2].map(c => channel(j => keys[j].position[c])),
+            yaw: channel(j => yaws[j]),
+            pitch: Math.max(-90, Math.min(90, channel(j => keys[j].pitch))),
+        };
+        if (k1.time !== undefined && k2.time !== undefined) {
+            pose.time = lerp(k1.time, k2.time, u);
+        }
+        return pose;
+    }
+
+    _pose(key) {
+        const pose = { position: [...key.position], yaw: key.yaw, pitch: key.pitch };
+        if (key.time !== undefined) pose.time = key.time;
+        return pose;
+    }
+
+    _unwrappedYaws() {
+        const yaws = [];
+        for (const key of this.keyframes) {
+            let yaw = key.yaw;
+            if (yaws.length > 0) {
+                const previous = yaws[yaws.length - 1];
+                yaw = previous + ((((yaw - previous) % 360) + 540) % 360) - 180;
+            }
+            yaws.push(yaw);
+        }
+        return yaws;
+    }
+
+    /** Plain object for JSON.stringify(). */
+    toJSON() {
+        return {
+            version: CAMERA_PATH_VERSION,
+            ...(this.scene !== undefined ? { scene: this.scene } : {}),
+            keyframes: this.keyframes,
+        };
+    }
+
+    /**
+     * Build a path from parsed JSON.
+     * @param {object} json
+     * @returns {CameraPath}
+     * @throws {Error} for unsupported versions or malformed keyframes
+     */
+    static fromJSON(json) {
+        if (typeof json !== 'object' || json === null || !Array.isArray(json.keyframes)) {
+            throw new Error('Camera path must be an object with a "keyframes" array');
+        }
+        if (json.version !== undefined && json.version > CAMERA_PATH_VERSION) {
+            throw new Error(`Unsupported camera path version ${json.version} (this viewer reads v${CAMERA_PATH_VERSION})`);
+        }
+        return new CameraPath(json.keyframes, json.scene);
+    }
+}
+
+/**
+ * Plays a CameraPath, advanced by the render loop (or by a fixed step when
+ * exporting frames).
+ */
+export class CameraPathPlayer {
+    constructor() {
+        /** @type {CameraPath|null} */
+        this.path = null;
+        this.elapsed = 0;
+        this.playing = false;
+        this.loop = false;
+    }
+
+    /**
+     * Start playing a path from its beginning.
+     * @param {CameraPath} path
+     * @param {object} [options]
+     * @param {boolean} [options.loop=false]
+     */
+    play(path, { loop = false } = {}) {
+        if (path.keyframes.length < 2) {
+            throw new Error('A camera path needs at least 2 keyframes to play');
+        }
+        this.path = path;
+        this.loop = loop;
+        this.elapsed = 0;
+        this.playing = true;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    /**
+     * Advance playback.
+     * @param {number} dt - seconds
+     * @returns {object|null} pose to show (see CameraPath.sample), or null
+     *   when not playing; the final pose is returned once when the path ends
+     */
+    update(dt) {
+        if (!this.playing) return null;
+        this.elapsed += dt;
+        const duration = this.path.duration;
+        if (this.elapsed >= duration) {
+            if (this.loop) {
+                this.elapsed %= duration;
+            } else {
+                this.elapsed = duration;
+                this.playing = false;
+            }
+        }
+        return this.path.sample(this.elapsed);
+    }
+}
@@ -1,20 +1,55 @@
 import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { VR_SETTINGS_DEFAULTS } from './vr-settings.js';
+import { HandGestures, readHandJoints, twoHandTransform, applyTwoHandTransform } from './hand-input.js';
 
-const SNAP_ANGLE = Math.PI / 6; // 30 degrees
-const MOVE_SPEED = 0.03;
 const THUMBSTICK_DEADZONE = 0.15;
 const SCRUB_SPEED = 0.008;
 const SPEED_ADJUST = 0.03;
+// A snap turn fires when the stick passes SNAP_THRESHOLD and re-arms once
+// it is back under SNAP_RESET, so holding it over turns only once
+const SNAP_THRESHOLD = 0.6;
+const SNAP_RESET = 0.3;
+// Eye height assumed when placing the viewer at a camera pose
+const STANDING_EYE_HEIGHT = 1.6;
+
+// Teleport arc: launch speed (m/s) along the controller ray under gravity,
+// sampled every ARC_STEP seconds of flight
+const ARC_SPEED = 7;
+const ARC_GRAVITY = 9.8;
+const ARC_STEP = 0.04;
+const ARC_SEGMENTS = 48;
+const TELEPORT_AIM_THRESHOLD = 0.7;
+// Each splat raycast is a pass over every splat, so the surface is only
+// re-tested a few times a second, along chords of several arc segments
+const SURFACE_TEST_INTERVAL = 0.2;
+const SURFACE_CHORD = 4;
+
+const VIGNETTE_FADE = 5; // full strength in 0.2 s
 
 /**
  * VR controller handling for WebXR sessions.
  *
  * Controls:
- *   Right trigger      — play/pause toggle
- *   Right thumbstick Y — smooth locomotion forward/back
- *   Right thumbstick X — snap turn (30-degree increments)
+ *   Right trigger      — play/pause toggle (unless pointing at the VR panel)
+ *   Right thumbstick Y — smooth locomotion forward/back, or (teleport mode)
+ *                        push forward to aim the arc and release to jump
+ *   Right thumbstick X — snap or smooth turn around the head
  *   Left grip held + thumbstick X — time scrub
  *   Left grip held + thumbstick Y — playback speed
+ *   Both grips held    — grab the splats: move the controllers to move them,
+ *                        turn the pair to rotate them (yaw), spread or close
+ *                        them to scale around the point between them
+ *
+ * Tracked hands (no controllers) use the gestures in hand-input.js: pinch to
+ * play/pause, pinch-drag to scrub, left pinch to teleport, both hands to
+ * grab the world (the splat mesh), palm up for the menu.
+ *
+ * Comfort options come from `settings` (see vr-settings.js). Teleporting
+ * lands on the floor plane or on the splat surface where the arc meets it
+ * first; the surface test uses the splats' rest positions, not the animated
+ * ones. The seated height offset lifts the rig so a seated viewer sees from
+ * standing height.
  */
 export class VRControls {
     /**
@@ -29,9 +64,64 @@ export class VRControls {
         this.temporalCtrl = temporalCtrl;
         this.rig = rig;
 
-        // Snap turn state (prevent repeated triggers)
-        this._snapCooldown = false;
+        /** Comfort settings, normalized (see vr-settings.js). */
+        this.settings = { ...VR_SETTINGS_DEFAULTS };
+        /** @type {THREE.Object3D|null} splats teleporting can land on */
+        this.splatMesh = null;
+        /** False while the rig holds an AR placement: no moving, turning,
+         *  teleporting or seated lift. */
+        this.locomotionEnabled = true;
+
+        this._snapArmed = true;
         this._prevTriggerRight = false;
+        this._lastTimestamp = null;
+        // Height offset currently added to the rig
+        this._appliedOffset = 0;
+
+        // Teleport aiming state and visuals (rig-local, like the controllers)
+        this._aiming = false;
+        this._target = null;
+        this._surfaceHit = null;    // { point, index } along the arc
+        this._surfaceTestAge = Infinity;
+        this._raycaster = new THREE.Raycaster();
+        this._arc = createArc();
+        this._marker = createMarker();
+        rig.add(this._arc, this._marker);
+
+        this._vignette = createVignette();
+        this._vignetteStrength = 0;
+        camera.add(this._vignette);
+
+        // Controller positions while both grips are held
+        this._gripPoints = null;
+
+        this._gestures = new HandGestures();
+        /** @type {object[]|null} set to an array to record hand snapshots
+         *  ({ dt, left, right, headYaw }) for replayHandFrames() */
+        this.handRecording = null;
+
+        /** @type {function|null} () => boolean — true while something else
+         *  owns the right trigger (e.g. the ray is on the VR panel) */
+        this.captureTrigger = null;
+        /** @type {function|null} callback() — palm-up gesture */
+        this.onMenu = null;
+    }
+
+    /** Metres the rig is lifted for the current posture. */
+    get heightOffset() {
+        return this.settings.posture === 'seated' ? this.settings.seatedOffset : 0;
+    }
+
+    /**
+     * Put the viewer at a standing eye position with a heading (start poses,
+     * camera paths); the headset's own offset within the rig is kept.
+     * @param {THREE.Vector3} position - world eye position
+     * @param {number} yaw - radians
+     */
+    placeViewer(position, yaw) {
+        this._appliedOffset = this.heightOffset;
+        this.rig.position.set(position.x, position.y - STANDING_EYE_HEIGHT + this._appliedOffset, position.z);
+        this.rig.rotation.set(0, yaw, 0);
     }
 
     /**
@@ -39,56 +129,144 @@ export class VRControls {
      * @param {number} timestamp
      * @param {XRFrame|null} frame
      */
-    update(_timestamp, frame) {
-        if (!frame) return;
-
-        const session = this.renderer.xr.getSession();
-        if (!session) return;
-
-        for (const source of session.inputSources) {
-            if (!source.gamepad) continue;
+    update(timestamp, frame) {
+        const dt = this._lastTimestamp === null ? 0 : Math.min((timestamp - this._lastTimestamp) / 1000, 0.1);
+        this._lastTimestamp = timestamp;
+
+        const session = frame ? this.renderer.xr.getSession() : null;
+        let moving = false;
+        let aimPose = null;
+
+        if (session) {
+            // Posture changes lift or lower the rig in place
+            const offset = this.heightOffset;
+            if (this.locomotionEnabled && offset !== this._appliedOffset) {
+                this.rig.position.y += offset - this._appliedOffset;
+                this._appliedOffset = offset;
+            }
 
-            const axes = source.gamepad.axes;
-            const buttons = source.gamepad.buttons;
+            const referenceSpace = this.renderer.xr.getReferenceSpace();
+            const hands = { left: null, right: null, headYaw: this._headYaw() };
+            const handSources = {};
+            const grips = {};
+            // Both grips together grab the splats instead of scrubbing
+            const gripsHeld = session.inputSources.filter(s => !s.hand && s.gamepad?.buttons[1]?.pressed).length;
+            for (const source of session.inputSources) {
+                if (source.hand) {
+                    hands[source.handedness] = readHandJoints(frame, source.hand, referenceSpace);
+                    handSources[source.handedness] = source;
+                    continue;
+                }
+                if (!source.gamepad) continue;
+
+                const axes = source.gamepad.axes;
+                const buttons = source.gamepad.buttons;
+
+                if (gripsHeld === 2 && source.gripSpace) {
+                    const pose = frame.getPose(source.gripSpace, referenceSpace);
+                    if (pose) grips[source.handedness] = new THREE.Vector3().copy(pose.transform.position);
+                }
+
+                if (source.handedness === 'right') {
+                    moving = this._handleRight(axes, buttons, dt);
+                    if (this._aiming) {
+                        aimPose = frame.getPose(source.targetRaySpace, referenceSpace);
+                    }
+                } else if (source.handedness === 'left' && gripsHeld < 2) {
+                    this._handleLeft(axes, buttons);
+                }
+            }
 
-            if (source.handedness === 'right') {
-                this._handleRight(axes, buttons);
-            } else if (source.handedness === 'left') {
-                this._handleLeft(axes, buttons);
+            const gripPoints = grips.left && grips.right ? [grips.left, grips.right] : null;
+            if (gripPoints && this._gripPoints && this.splatMesh) this._grabWorld(this._gripPoints, gripPoints);
+            this._gripPoints = gripPoints;
+
+            if (this.handRecording) this.handRecording.push({ dt, ...hands });
+            for (const action of this._gestures.update(hands, dt)) {
+                if (action.type === 'aim') {
+                    // Not while the hand is pointing at the VR panel, nor in AR
+                    if (this.captureTrigger?.() || !this.locomotionEnabled) continue;
+                    aimPose = frame.getPose(handSources[action.hand].targetRaySpace, referenceSpace);
+                    this._aiming = true;
+                } else {
+                    this._handleGesture(action);
+                }
             }
+        } else {
+            this._gripPoints = null;
+        }
+
+        if (aimPose) {
+            this._updateArc(aimPose.transform, dt);
+        } else {
+            this._aiming = false;
+            this._target = null;
         }
+        this._arc.visible = this._aiming;
+        this._marker.visible = this._target !== null;
+
+        // Fade the vignette in while moving smoothly and out afterwards
+        const goal = moving && this.settings.vignette ? 1 : 0;
+        const step = VIGNETTE_FADE * dt;
+        this._vignetteStrength = Math.max(0, Math.min(1, this._vignetteStrength + Math.sign(goal - this._vignetteStrength) * step));
+        this._vignette.material.uniforms.strength.value = this._vignetteStrength;
+        this._vignette.visible = this._vignetteStrength > 0 && !!session;
     }
 
     /**
-     * Right controller: locomotion + play/pause.
+     * Right controller: locomotion + turning + play/pause.
+     * @returns {boolean} whether the view moved smoothly this frame
      */
-    _handleRight(axes, buttons) {
+    _handleRight(axes, buttons, dt) {
         // Trigger: play/pause toggle (on press, not hold)
         const triggerPressed = buttons[0]?.pressed ?? false;
-        if (triggerPressed && !this._prevTriggerRight) {
+        const captured = this.captureTrigger?.() ?? false;
+        if (triggerPressed && !this._prevTriggerRight && !captured) {
             if (this.temporalCtrl) {
                 this.temporalCtrl.togglePlayPause();
             }
         }
         this._prevTriggerRight = triggerPressed;
 
-        // Thumbstick Y: smooth locomotion forward/back
+        if (!this.locomotionEnabled) return false;
+        let moving = false;
+
+        // Thumbstick Y: smooth locomotion forward/back, or aim a teleport
         const moveY = axes[3] ?? 0;
-        if (Math.abs(moveY) > THUMBSTICK_DEADZONE) {
-            const direction = new THREE.Vector3(0, 0, -moveY * MOVE_SPEED);
-            direction.applyQuaternion(this.camera.quaternion);
+        if (this.settings.locomotion === 'teleport') {
+            if (moveY < -TELEPORT_AIM_THRESHOLD) {
+                this._aiming = true;
+            } else if (this._aiming && Math.abs(moveY) < THUMBSTICK_DEADZONE) {
+                // Released: jump to the target, if the arc found one
+                if (this._target) this._teleport(this._target);
+                this._aiming = false;
+            }
+        } else if (Math.abs(moveY) > THUMBSTICK_DEADZONE) {
+            const direction = this.camera.getWorldDirection(new THREE.Vector3());
             direction.y = 0; // Prevent vertical movement
-            this.rig.position.add(direction);
+            if (direction.lengthSq() > 1e-6) {
+                direction.normalize().multiplyScalar(-moveY * this.settings.moveSpeed * dt);
+                this.rig.position.add(direction);
+                moving = true;
+            }
         }
 
-        // Thumbstick X: snap turn
-        const moveX = axes[2] ?? 0;
-        if (Math.abs(moveX) > 0.6 && !this._snapCooldown) {
-            const angle = moveX > 0 ? -SNAP_ANGLE : SNAP_ANGLE;
-            this.rig.rotateY(angle);
-            this._snapCooldown = true;
-            setTimeout(() => { this._snapCooldown = false; }, 300);
+        // Thumbstick X: turn around the head
+        const turnX = axes[2] ?? 0;
+        if (this.settings.turn === 'smooth') {
+            if (Math.abs(turnX) > THUMBSTICK_DEADZONE) {
+                this._turn(-turnX * THREE.MathUtils.degToRad(this.settings.turnSpeed) * dt);
+                moving = true;
+            }
+        } else if (Math.abs(turnX) > SNAP_THRESHOLD && this._snapArmed) {
+            const angle = THREE.MathUtils.degToRad(this.settings.snapAngle);
+            this._turn(turnX > 0 ? -angle : angle);
+            this._snapArmed = false;
+        } else if (Math.abs(turnX) < SNAP_RESET) {
+            this._snapArmed = true;
         }
+
+        return moving;
     }
 
     /**
@@ -113,6 +291,197 @@ export class VRControls {
                 this.temporalCtrl.speed + speedY * SPEED_ADJUST));
         }
     }
+
+    /** Act on a hand gesture (see HandGestures). */
+    _handleGesture(action) {
+        const type = action.type;
+        if (type === 'play-pause') {
+            if (this.temporalCtrl && !(this.captureTrigger?.() ?? false)) this.temporalCtrl.togglePlayPause();
+        } else if (type === 'scrub') {
+            if (this.temporalCtrl) {
+                this.temporalCtrl.setNormalizedTime(this.temporalCtrl.normalizedTime + action.delta);
+                this.temporalCtrl.pause();
+            }
+        } else if (type === 'teleport') {
+            if (this._target) this._teleport(this._target);
+            this._aiming = false;
+        } else if (type === 'aim-cancel') {
+            this._aiming = false;
+        } else if (type === 'grab') {
+            if (this.splatMesh) this._grabWorld(action.from, action.to);
+        } else if (type === 'menu') {
+            if (this.onMenu) this.onMenu();
+        }
+    }
+
+    /**
+     * Move, turn and scale the splats with two grabbing hands or controllers.
+     * @param {THREE.Vector3[]} from - rig-space hand points last frame
+     * @param {THREE.Vector3[]} to - and now
+     */
+    _grabWorld(from, to) {
+        const parent = this.splatMesh.parent;
+        this.rig.updateMatrixWorld();
+        parent.updateMatrixWorld();
+        const toParent = p => parent.worldToLocal(this.rig.localToWorld(p.clone()));
+        applyTwoHandTransform(this.splatMesh, twoHandTransform(
+            toParent(from[0]), toParent(from[1]), toParent(to[0]), toParent(to[1])));
+    }
+
+    /** Viewer heading within the rig, radians. */
+    _headYaw() {
+        return new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ').y;
+    }
+
+    /** Rotate the rig about the vertical through the viewer's head. */
+    _turn(angle) {
+        const head = this.camera.getWorldPosition(new THREE.Vector3());
+        this.rig.rotateY(angle);
+        this.rig.updateMatrixWorld();
+        this.rig.position.add(head.sub(this.camera.getWorldPosition(new THREE.Vector3())));
+    }
+
+    /**
+     * Move the rig so the viewer stands on a point, keeping the heading.
+     * @param {THREE.Vector3} point - rig-local floor point
+     */
+    _teleport(point) {
+        this.rig.updateMatrixWorld();
+        const target = this.rig.localToWorld(point.clone());
+        const head = this.camera.getWorldPosition(new THREE.Vector3());
+        this.rig.position.x += target.x - head.x;
+        this.rig.position.z += target.z - head.z;
+        this.rig.position.y = target.y + this._appliedOffset;
+    }
+
+    /**
+     * Trace the teleport arc from the controller ray and find where it lands:
+     * on the floor plane, or on the splats if it meets them first.
+     * @param {XRRigidTransform} transform - controller ray in rig space
+     */
+    _updateArc(transform, dt) {
+        const { position: p, orientation: q } = transform;
+        const origin = new THREE.Vector3(p.x, p.y, p.z);
+        const velocity = new THREE.Vector3(0, 0, -1)
+            .applyQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w))
+            .multiplyScalar(ARC_SPEED);
+        const floorY = -this._appliedOffset;
+
+        const points = [];
+        let end = ARC_SEGMENTS;
+        let floorHit = null;
+        for (let i = 0; i <= ARC_SEGMENTS; i++) {
+            const t = i * ARC_STEP;
+            const point = origin.clone().addScaledVector(velocity, t);
+            point.y -= 0.5 * ARC_GRAVITY * t * t;
+            points.push(point);
+            const prev = points[i - 1];
+            if (prev && prev.y >= floorY && point.y < floorY) {
+                const u = (prev.y - floorY) / (prev.y - point.y);
+                floorHit = { point: prev.clone().lerp(point, u), index: i - 1 + u };
+                point.copy(floorHit.point);
+                end = i;
+                break;
+            }
+        }
+
+        this._surfaceTestAge += dt;
+        if (this._surfaceTestAge >= SURFACE_TEST_INTERVAL) {
+            this._surfaceTestAge = 0;
+            this._surfaceHit = this._testSurface(points);
+        }
+
+        const hit = this._surfaceHit && (!floorHit || this._surfaceHit.index < floorHit.index)
+            ? this._surfaceHit
+            : floorHit;
+        this._target = hit ? hit.point : null;
+        if (hit && hit !== floorHit) {
+            end = Math.min(end, Math.ceil(hit.index));
+            points[end] = hit.point;
+        }
+
+        const positions = this._arc.geometry.attributes.position;
+        for (let i = 0; i <= end; i++) positions.setXYZ(i, points[i].x, points[i].y, points[i].z);
+        positions.needsUpdate = true;
+        this._arc.geometry.setDrawRange(0, end + 1);
+        this._arc.material.color.set(hit ? 0x4a9eff : 0xff5050);
+        if (hit) this._marker.position.copy(hit.point);
+    }
+
+    /**
+     * First place the descending part of the arc meets the splats.
+     * @param {THREE.Vector3[]} points - rig-local arc samples
+     * @returns {{point: THREE.Vector3, index: number}|null}
+     */
+    _testSurface(points) {
+        if (!this.splatMesh?.visible) return null;
+        this.rig.updateMatrixWorld();
+        for (let i = 0; i + 1 < points.length; i += SURFACE_CHORD) {
+            const j = Math.min(i + SURFACE_CHORD, points.length - 1);
+            // Only land on surfaces from above; rising chords hit walls
+            if (points[j].y >= points[i].y) continue;
+            const a = this.rig.localToWorld(points[i].clone());
+            const b = this.rig.localToWorld(points[j].clone());
+            const length = a.distanceTo(b);
+            this._raycaster.set(a, b.sub(a).normalize());
+            this._raycaster.far = length;
+            const hit = this._raycaster.intersectObject(this.splatMesh, false)
+                .reduce((nearest, h) => (!nearest || h.distance < nearest.distance ? h : nearest), null);
+            if (hit) {
+                return { point: this.rig.worldToLocal(hit.point), index: i + (j - i) * hit.distance / length };
+            }
+        }
+        return null;
+    }
+}
+
+function createArc() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ARC_SEGMENTS + 1) * 3), 3));
+    const arc = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x4a9eff, depthTest: false, transparent: true }));
+    arc.frustumCulled = false;
+    arc.renderOrder = 999;
+    arc.visible = false;
+    return arc;
+}
+
+function createMarker() {
+    const geometry = new THREE.RingGeometry(0.15, 0.2, 32).rotateX(-Math.PI / 2);
+    const marker = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x4a9eff, depthTest: false, transparent: true }));
+    marker.renderOrder = 999;
+    marker.visible = false;
+    return marker;
+}
+
+/** Inside-out sphere around the camera that darkens the edges of view. */
+function createVignette() {
+    const material = new THREE.ShaderMaterial({
+        uniforms: { strength: { value: 0 } },
+        vertexShader: /* glsl */ `
+            varying vec3 vDirection;
+            void main() {
+                vDirection = position;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }`,
+        fragmentShader: /* glsl */ `
+            uniform float strength;
+            varying vec3 vDirection;
+            void main() {
+                // Angle from the view direction: clear in the middle,
+                // fading to dark between about 25 and 50 degrees out
+                float angle = acos(clamp(-normalize(vDirection).z, -1.0, 1.0));
+                gl_FragColor = vec4(0.0, 0.0, 0.0, smoothstep(0.45, 0.9, angle) * strength);
+            }`,
+        side: THREE.BackSide,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+    });
+    const vignette = new THREE.Mesh(new THREE.SphereGeometry(0.2, 32, 16), material);
+    vignette.frustumCulled = false;
+    vignette.renderOrder = 999;
+    vignette.visible = false;
+    return vignette;
 }
 
 const FPV_DEADZONE = 0.15;
@@ -136,7 +505,7 @@ export class FPVControls {
     constructor(camera, domElement, options = {}) {
         this.camera = camera;
         this.domElement = domElement;
-        this.enabled = true;
+        this._enabled = true;
         this.moveSpeed = options.moveSpeed ?? 3.0;
         this.lookSpeed = options.lookSpeed ?? 0.002;
 
@@ -173,6 +542,43 @@ export class FPVControls {
         this._setupJoystickOverlay();
     }
 
+    get enabled() {
+        return this._enabled;
+    }
+
+    /** Disabled controls also let pointer input through the joystick overlay. */
+    set enabled(enabled) {
+        this._enabled = enabled;
+        if (!this._joystickCanvas) return;
+        this._joystickCanvas.style.pointerEvents = enabled ? '' : 'none';
+        if (!enabled) {
+            this._moveTouch = this._lookTouch = this._moveMouse = this._lookMouse = null;
+            this._drawJoysticks();
+        }
+    }
+
+    /**
+     * Current camera pose, in the form setPose() takes.
+     * @returns {{position: THREE.Vector3, yaw: number, pitch: number}} radians
+     */
+    getPose() {
+        return { position: this.camera.position.clone(), yaw: this._yaw, pitch: this._pitch };
+    }
+
+    /**
+     * Move the camera to a pose, keeping mouse/joystick look in sync.
+     * @param {THREE.Vector3} position
+     * @param {number} yaw - radians around +Y
+     * @param {number} pitch - radians, clamped like mouse look
+     */
+    setPose(position, yaw, pitch) {
+        this.camera.position.copy(position);
+        this._yaw = yaw;
+        this._pitch = Math.max(-Math.PI * 85 / 180, Math.min(Math.PI * 85 / 180, pitch));
+        this.camera.rotation.y = this._yaw;
+        this.camera.rotation.x = this._pitch;
+    }
+
     _handleKeyDown(e) {
         this._keys.add(e.code);
     }
@@ -431,3 +837,124 @@ export class FPVControls {
         }
     }
 }
+
+const ORBIT_MIN_DISTANCE = 0.05;
+const ORBIT_DEFAULT_DISTANCE = 2.0;
+const ORBIT_FOCUS_TIME = 0.6; // seconds for the pivot to glide to a new target
+const ORBIT_POLAR_MARGIN = Math.PI * 5 / 180; // matches the FPV pitch limit
+
+/**
+ * Orbit/turntable controls for desktop + mobile, wrapping three.js
+ * OrbitControls: drag to orbit around a target point, scroll or pinch to
+ * zoom, right-drag or two-finger drag to pan. With autoRotate the camera
+ * circles the target like a turntable.
+ *
+ * Shares getPose()/setPose() with FPVControls, so the viewer can hand the
+ * camera from one to the other without the view jumping.
+ */
+export class OrbitViewControls {
+    constructor(camera, domElement) {
+        this.camera = camera;
+        // OrbitControls aims the camera at its target on construction; the
+        // camera belongs to whichever controls are active, so undo that
+        const quaternion = camera.quaternion.clone();
+        this._orbit = new OrbitControls(camera, domElement);
+        camera.quaternion.copy(quaternion);
+        this._orbit.enableDamping = true;
+        this._orbit.autoRotateSpeed = 1.0;
+        this._orbit.minDistance = ORBIT_MIN_DISTANCE;
+        this._orbit.minPolarAngle = ORBIT_POLAR_MARGIN;
+        this._orbit.maxPolarAngle = Math.PI - ORBIT_POLAR_MARGIN;
+        this._orbit.enabled = false;
+        this._focus = null; // { from, to, elapsed } while the target glides
+    }
+
+    get enabled() {
+        return this._orbit.enabled;
+    }
+
+    set enabled(enabled) {
+        this._orbit.enabled = enabled;
+    }
+
+    /** Turntable mode: circle the target continuously. */
+    get autoRotate() {
+        return this._orbit.autoRotate;
+    }
+
+    set autoRotate(autoRotate) {
+        this._orbit.autoRotate = autoRotate;
+    }
+
+    /** @type {THREE.Vector3} point the camera orbits around */
+    get target() {
+        return this._orbit.target;
+    }
+
+    /**
+     * Take over the camera where it is. The pivot starts on the view ray at
+     * the depth of `focus`, so nothing moves, then glides to `focus`.
+     * @param {THREE.Vector3|null} focus - e.g. the scene's bounds center
+     */
+    begin(focus) {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const depth = focus ? focus.clone().sub(this.camera.position).dot(forward) : 0;
+        const distance = depth > ORBIT_MIN_DISTANCE ? depth : ORBIT_DEFAULT_DISTANCE;
+        this._orbit.target.copy(this.camera.position).addScaledVector(forward, distance);
+        this._focus = null;
+        this._orbit.update();
+        // A focus behind the camera would swing the view around; keep the ray point
+        if (focus && depth > ORBIT_MIN_DISTANCE) this.focusOn(focus);
+    }
+
+    /**
+     * Glide the orbit target to a point; the camera turns to follow.
+     * @param {THREE.Vector3} point
+     */
+    focusOn(point) {
+        this._focus = { from: this._orbit.target.clone(), to: point.clone(), elapsed: 0 };
+    }
+
+    /**
+     * Current camera pose, in the form setPose() takes.
+     * @returns {{position: THREE.Vector3, yaw: number, pitch: number}} radians
+     */
+    getPose() {
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        return { position: this.camera.position.clone(), yaw: euler.y, pitch: euler.x };
+    }
+
+    /**
+     * Move the camera to a pose. The target moves with it, staying at the
+     * same distance straight ahead.
+     * @param {THREE.Vector3} position
+     * @param {number} yaw - radians around +Y
+     * @param {number} pitch - radians
+     */
+    setPose(position, yaw, pitch) {
+        const distance = Math.max(this.camera.position.distanceTo(this._orbit.target), ORBIT_MIN_DISTANCE);
+        const limit = Math.PI / 2 - ORBIT_POLAR_MARGIN;
+        const clamped = Math.max(-limit, Math.min(limit, pitch));
+        const forward = new THREE.Vector3(0, 0, -1)
+            .applyEuler(new THREE.Euler(clamped, yaw, 0, 'YXZ'));
+        this.camera.position.copy(position);
+        this._orbit.target.copy(position).addScaledVector(forward, distance);
+        this._focus = null;
+        this._orbit.update();
+    }
+
+    update(dt) {
+        if (!this.enabled) return;
+        if (this._focus) {
+            this._focus.elapsed += dt;
+            const u = Math.min(1, this._focus.elapsed / ORBIT_FOCUS_TIME);
+            this._orbit.target.lerpVectors(this._focus.from, this._focus.to, u * u * (3 - 2 * u));
+            if (u >= 1) this._focus = null;
+        }
+        this._orbit.update(dt);
+    }
+
+    dispose() {
+        this._orbit.dispose();
+    }
+}
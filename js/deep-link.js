@@ -0,0 +1,128 @@
+/**
+ * Shareable view state in the page URL.
+ *
+ *   ?scene=data2&cam=0.12,1.6,2.95,-30.0,-5.0&t=0.4312&speed=0.30&play=1
+ *
+ *   scene  manifest name, or carousel index (0-based) when names repeat
+ *   cam    camera x,y,z (metres), yaw,pitch (degrees), as in manifest poses
+ *   t      normalized time
+ *   speed  playback speed multiplier, clamped to the HUD slider's range
+ *   play   1 playing, 0 paused
+ *
+ * Other parameters (?config, ?debug, ?url, ...) are left untouched, so a
+ * copied link reproduces the viewer's setup as well as the moment.
+ */
+
+/** Parameters owned by the view state. */
+export const VIEW_PARAMS = ['scene', 'cam', 't', 'speed', 'play'];
+
+/** Speed range of the HUD slider (index.html #speed-slider). */
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 3;
+
+/** Number in a parameter value, or NaN when empty or not a number. */
+function parseNumber(value) {
+    return value.trim() === '' ? NaN : Number(value);
+}
+
+function parseNumbers(value, count) {
+    const numbers = value.split(',').map(parseNumber);
+    return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Read the view state from URL parameters. Malformed values are dropped
+ * with a warning rather than failing the load.
+ *
+ * @param {URLSearchParams} params
+ * @returns {{scene?: string, camera?: {position: number[], yaw: number, pitch: number},
+ *   time?: number, speed?: number, playing?: boolean}}
+ */
+export function readViewState(params) {
+    const view = {};
+    const warn = (name) => console.warn(`Ignoring malformed link parameter ${name}=${params.get(name)}`);
+
+    if (params.has('scene')) view.scene = params.get('scene');
+
+    if (params.has('cam')) {
+        const cam = parseNumbers(params.get('cam'), 5);
+        if (cam && Math.abs(cam[4]) <= 90) {
+            view.camera = { position: cam.slice(0, 3), yaw: cam[3], pitch: cam[4] };
+        } else {
+            warn('cam');
+        }
+    }
+
+    if (params.has('t')) {
+        const t = parseNumber(params.get('t'));
+        if (t >= 0 && t <= 1) view.time = t; else warn('t');
+    }
+
+    if (params.has('speed')) {
+        const speed = parseNumber(params.get('speed'));
+        if (Number.isFinite(speed)) view.speed = Math.min(Math.max(speed, MIN_SPEED), MAX_SPEED); else warn('speed');
+    }
+
+    if (params.has('play')) view.playing = params.get('play') !== '0';
+    return view;
+}
+
+/**
+ * Query string for parameters, keeping commas and bare flags (?debug)
+ * readable instead of URLSearchParams' form encoding.
+ */
+function formatQuery(params) {
+    return [...params].map(([name, value]) => {
+        const key = encodeURIComponent(name);
+        return value === '' ? key : `${key}=${encodeURIComponent(value).replace(/%2C/gi, ',')}`;
+    }).join('&');
+}
+
+/**
+ * Query string (without "?") of `params` with the view parameters replaced
+ * by `view`.
+ * @param {URLSearchParams} params - current page parameters
+ * @param {object} view - as returned by readViewState(); missing keys are omitted
+ * @returns {string}
+ */
+export function writeViewState(params, view) {
+    const result = new URLSearchParams(params);
+    for (const name of VIEW_PARAMS) result.delete(name);
+
+    if (view.scene !== undefined) result.set('scene', view.scene);
+    if (view.camera) {
+        const { position, yaw, pitch } = view.camera;
+        result.set('cam', [...position.map(v => v.toFixed(3)), yaw.toFixed(1), pitch.toFixed(1)].join(','));
+    }
+    if (view.time !== undefined) result.set('t', view.time.toFixed(4));
+    if (view.speed !== undefined) result.set('speed', view.speed.toFixed(2));
+    if (view.playing !== undefined) result.set('play', view.playing ? '1' : '0');
+    return formatQuery(result);
+}
+
+/**
+ * Value of the scene parameter for a carousel entry: its name, or its index
+ * when another entry shares the name.
+ * @param {object[]} scenes
+ * @param {object} entry
+ * @returns {string}
+ */
+export function sceneLinkKey(scenes, entry) {
+    const index = scenes.indexOf(entry);
+    const unique = scenes.filter(s => s.name === entry.name).length === 1;
+    return unique || index < 0 ? entry.name : String(index);
+}
+
+/**
+ * Carousel index for a scene parameter (name first, then index).
+ * @param {object[]} scenes
+ * @param {string} [key]
+ * @returns {number} -1 if no scene matches
+ */
+export function findSceneIndex(scenes, key) {
+    if (key === undefined) return -1;
+    const byName = scenes.findIndex(s => s.name === key);
+    if (byName >= 0) return byName;
+    const index = /^\d+$/.test(key) ? Number(key) : -1;
+    return index < scenes.length ? index : -1;
+}
@@ -0,0 +1,316 @@
+/**
+ * Offline, frame-accurate export to a PNG sequence (zipped) or a WebM video.
+ *
+ * The live render loop advances by wall-clock time, so screen recordings of
+ * heavy scenes stutter. Export instead steps the scene by exactly 1/fps per
+ * frame, waits for SparkJS to regenerate and sort the splats for that frame,
+ * and renders it to an offscreen target at the requested resolution, however
+ * long that takes. It needs no visible canvas, so it also runs in headless
+ * browsers with software GL; WebM additionally needs WebCodecs.
+ *
+ * PNG output can have a transparent background: frames render over a clear
+ * alpha of 0 and SparkJS's premultiplied colours are converted back to the
+ * straight alpha PNG expects.
+ */
+
+import { ZipWriter } from './zip.js';
+import { WebMMuxer } from './webm-muxer.js';
+
+export const EXPORT_FORMATS = ['png', 'webm'];
+
+/** Largest target SparkViewpoint renders to, per side. */
+const MAX_EXPORT_SIZE = 8192;
+const MAX_EXPORT_FPS = 240;
+
+/** WebCodecs configurations to try, best first, with their WebM codec. */
+const VIDEO_CODECS = [
+    { codec: 'vp09.00.40.08', webm: 'vp9' },
+    { codec: 'vp8', webm: 'vp8' },
+];
+const KEYFRAME_INTERVAL = 2;        // seconds
+const BITS_PER_PIXEL_FRAME = 0.15;  // bitrate heuristic, high quality for VP9
+const MAX_ENCODE_QUEUE = 4;
+
+/**
+ * Validate export settings.
+ * @param {object} settings
+ * @param {string} settings.format - 'png' or 'webm'
+ * @param {number} settings.width - pixels
+ * @param {number} settings.height - pixels
+ * @param {number} settings.fps
+ * @param {number} settings.duration - seconds
+ * @param {boolean} [settings.transparent=false] - PNG only
+ * @returns {object} the settings, with integer sizes
+ * @throws {Error} naming the invalid setting
+ */
+export function normalizeExportSettings({ format, width, height, fps, duration, transparent = false }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Export format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    width = Math.round(width);
+    height = Math.round(height);
+    if (!(width >= 16 && width <= MAX_EXPORT_SIZE && height >= 16 && height <= MAX_EXPORT_SIZE)) {
+        throw new Error(`Export size must be between 16 and ${MAX_EXPORT_SIZE} pixels per side`);
+    }
+    if (format === 'webm' && (width % 2 || height % 2)) {
+        throw new Error('WebM export needs an even width and height');
+    }
+    if (format === 'webm' && transparent) {
+        throw new Error('WebM export is opaque; use PNG for a transparent background');
+    }
+    if (!(fps > 0 && fps <= MAX_EXPORT_FPS)) {
+        throw new Error(`Export fps must be in (0, ${MAX_EXPORT_FPS}]`);
+    }
+    if (!(duration > 0 && Number.isFinite(duration))) {
+        throw new Error('Export duration must be a positive number of seconds');
+    }
+    return { format, width, height, fps, duration, transparent: Boolean(transparent) };
+}
+
+/**
+ * Export settings from URL parameters, for unattended (headless) runs:
+ *
+ *   ?export=webm&exportSize=1920x1080&exportFps=30&exportDuration=6
+ *   ?export=png&exportTransparent
+ *
+ * @param {URLSearchParams} params
+ * @returns {{format: string, width?: number, height?: number, fps?: number,
+ *   duration?: number, transparent?: boolean}|null} null without ?export;
+ *   omitted keys use the defaults
+ */
+export function readExportParams(params) {
+    if (!params.has('export')) return null;
+    const settings = { format: params.get('export') || 'png' };
+    const size = /^(\d+)x(\d+)$/.exec(params.get('exportSize') ?? '');
+    if (size) {
+        settings.width = Number(size[1]);
+        settings.height = Number(size[2]);
+    }
+    if (params.has('exportFps')) settings.fps = Number(params.get('exportFps'));
+    if (params.has('exportDuration')) settings.duration = Number(params.get('exportDuration'));
+    if (params.has('exportTransparent')) settings.transparent = params.get('exportTransparent') !== '0';
+    return settings;
+}
+
+/**
+ * Top-down copy of bottom-up WebGL pixels.
+ * @param {Uint8Array} pixels - RGBA rows, bottom row first
+ * @returns {Uint8ClampedArray}
+ */
+export function flipRows(pixels, width, height) {
+    const rowBytes = width * 4;
+    const flipped = new Uint8ClampedArray(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        flipped.set(pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+    }
+    return flipped;
+}
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+function linearToSrgb(c) {
+    const v = c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+    return Math.round(Math.min(1, v) * 255);
+}
+
+/**
+ * Convert premultiplied RGBA, as SparkJS blends it into an sRGB target, to
+ * the straight alpha of image files. Un-premultiplying happens in linear
+ * light, where the blending happened. Modifies pixels in place.
+ * @param {Uint8ClampedArray} pixels
+ * @returns {Uint8ClampedArray} pixels
+ */
+export function unpremultiplyAlpha(pixels) {
+    for (let i = 0; i < pixels.length; i += 4) {
+        const a = pixels[i + 3];
+        if (a === 255 || a === 0) continue;
+        const scale = 255 / a;
+        pixels[i] = linearToSrgb(SRGB_TO_LINEAR[pixels[i]] * scale);
+        pixels[i + 1] = linearToSrgb(SRGB_TO_LINEAR[pixels[i + 1]] * scale);
+        pixels[i + 2] = linearToSrgb(SRGB_TO_LINEAR[pixels[i + 2]] * scale);
+    }
+    return pixels;
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Encode top-down RGBA pixels as a PNG.
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {OffscreenCanvas|HTMLCanvasElement} [canvas] - reused between calls
+ * @returns {Promise<Blob>}
+ */
+export async function encodePng(pixels, width, height, canvas = createCanvas(width, height)) {
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
+
+/**
+ * Render one frame offscreen once its splats are generated and sorted.
+ * @param {object} viewpoint - SparkViewpoint with a render target
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {object} [options]
+ * @param {boolean} [options.transparent=false] - clear to alpha 0 and return
+ *   straight alpha
+ * @returns {Promise<Uint8ClampedArray>} top-down RGBA pixels
+ */
+export async function renderPixels(viewpoint, scene, camera, { transparent = false } = {}) {
+    const renderer = viewpoint.spark.renderer;
+    const clearAlpha = renderer.getClearAlpha();
+    if (transparent) renderer.setClearAlpha(0);
+    let pixels;
+    try {
+        pixels = await viewpoint.prepareRenderPixels({ scene, camera });
+    } finally {
+        renderer.setClearAlpha(clearAlpha);
+    }
+    const { width, height } = viewpoint.target;
+    const flipped = flipRows(pixels, width / viewpoint.superXY, height / viewpoint.superXY);
+    return transparent ? unpremultiplyAlpha(flipped) : flipped;
+}
+
+/** Frames as numbered PNGs in a ZIP archive. */
+class PngSequenceEncoder {
+    constructor({ width, height, name }) {
+        this.width = width;
+        this.height = height;
+        this.name = name;
+        this.canvas = createCanvas(width, height);
+        this.zip = new ZipWriter();
+    }
+
+    async addFrame(pixels, index) {
+        const png = await encodePng(pixels, this.width, this.height, this.canvas);
+        this.zip.add(`${this.name}/${String(index).padStart(5, '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+    }
+
+    async finish() {
+        return { blob: this.zip.finish(), extension: 'zip' };
+    }
+
+    dispose() {}
+}
+
+/** Frames encoded with WebCodecs and muxed into WebM. */
+class WebMEncoder {
+    /**
+     * @returns {Promise<WebMEncoder>}
+     * @throws {Error} without WebCodecs or a supported VP9/VP8 encoder
+     */
+    static async create({ width, height, fps }) {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('WebM export needs WebCodecs (VideoEncoder), which this browser lacks; export PNG instead');
+        }
+        const bitrate = Math.round(width * height * fps * BITS_PER_PIXEL_FRAME);
+        for (const { codec, webm } of VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate, framerate: fps };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return new WebMEncoder(config, webm);
+        }
+        throw new Error(`No VP9 or VP8 encoder for ${width}x${height}; try a smaller size or PNG`);
+    }
+
+    constructor(config, webmCodec) {
+        this.config = config;
+        this.muxer = new WebMMuxer({
+            width: config.width, height: config.height, codec: webmCodec, frameRate: config.framerate,
+        });
+        this.error = null;
+        this.encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                this.muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key', (chunk.duration ?? 0) / 1000);
+            },
+            error: (e) => { this.error = e; },
+        });
+        this.encoder.configure(config);
+    }
+
+    async addFrame(pixels, index) {
+        if (this.error) throw this.error;
+        const { width, height, framerate } = this.config;
+        const frameDuration = 1e6 / framerate;
+        const frame = new VideoFrame(pixels, {
+            format: 'RGBA',
+            codedWidth: width,
+            codedHeight: height,
+            timestamp: Math.round(index * frameDuration),
+            duration: Math.round(frameDuration),
+        });
+        this.encoder.encode(frame, { keyFrame: index % Math.round(KEYFRAME_INTERVAL * framerate) === 0 });
+        frame.close();
+
+        // Let the encoder catch up instead of queueing every frame in memory
+        while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        if (this.error) throw this.error;
+        return { blob: this.muxer.finish(), extension: 'webm' };
+    }
+
+    dispose() {
+        if (this.encoder.state !== 'closed') this.encoder.close();
+    }
+}
+
+/**
+ * Render `duration * fps` frames, stepping the scene by 1/fps between them.
+ *
+ * @param {object} options
+ * @param {object} options.sparkRenderer - SparkRenderer in `scene`
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera - rendered at the export aspect ratio
+ * @param {object} options.settings - see normalizeExportSettings()
+ * @param {function(number): void} options.step - advance camera and time by dt
+ *   seconds; called with 0 before the first frame
+ * @param {string} [options.name='frames'] - folder name inside a PNG archive
+ * @param {function(number, number): void} [options.onProgress] - (framesDone, frameCount)
+ * @param {AbortSignal} [options.signal] - cancels between frames (AbortError)
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+export async function exportFrames({ sparkRenderer, scene, camera, settings, step, name = 'frames', onProgress, signal }) {
+    const { format, width, height, fps, duration, transparent } = normalizeExportSettings(settings);
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const encoder = format === 'webm'
+        ? await WebMEncoder.create({ width, height, fps })
+        : new PngSequenceEncoder({ width, height, name });
+
+    const viewpoint = sparkRenderer.newViewpoint({
+        target: { width, height },
+        sortRadial: sparkRenderer.defaultView.sortRadial,
+    });
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            signal?.throwIfAborted();
+            step(i === 0 ? 0 : 1 / fps);
+            const pixels = await renderPixels(viewpoint, scene, camera, { transparent });
+            await encoder.addFrame(pixels, i);
+            onProgress?.(i + 1, frameCount);
+        }
+        signal?.throwIfAborted();
+        return await encoder.finish();
+    } finally {
+        viewpoint.dispose();
+        encoder.dispose();
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Hand-tracking gestures from WebXR XRHand joints.
+ *
+ * Recognition works on plain joint snapshots rather than XR objects, so it
+ * runs the same on live hands, recorded sessions and synthetic poses:
+ *
+ *   { left: joints|null, right: joints|null, headYaw }
+ *   joints = { 'wrist': [x, y, z], 'thumb-tip': [x, y, z], ... }
+ *
+ * Positions are metres in rig space (the XR reference space) and headYaw is
+ * the viewer's heading in radians. readHandJoints() builds a snapshot hand
+ * from an XRFrame; recordings are arrays of { dt, ...snapshot } frames that
+ * replayHandFrames() feeds back through the recognizer.
+ *
+ * Gestures:
+ *   Right pinch, released quickly      — play/pause
+ *   Right pinch and drag sideways      — scrub time
+ *   Left pinch, held                   — aim a teleport; release to jump
+ *   Both hands pinching                — grab the world (move, turn, scale)
+ *   Palm up, held                      — open/close the menu
+ */
+
+import * as THREE from 'three';
+
+/** Joints the recognizer reads. */
+export const HAND_JOINTS = ['wrist', 'thumb-tip', 'index-finger-tip', 'index-finger-metacarpal', 'pinky-finger-metacarpal'];
+
+// Pinch starts below PINCH_START and ends above PINCH_END (metres between
+// thumb and index tips), so it doesn't flicker at the threshold
+const PINCH_START = 0.02;
+const PINCH_END = 0.035;
+// A pinch is a tap if released this soon without having dragged
+const TAP_TIME = 0.4;
+const DRAG_START = 0.02;
+// Normalized time per metre of sideways hand movement
+const SCRUB_PER_METRE = 1.5;
+const AIM_DELAY = 0.25;
+const PALM_UP_DOT = 0.7;
+const PALM_UP_HOLD = 0.4;
+
+/**
+ * Read the joints the recognizer needs from an XRHand.
+ * @param {XRFrame} frame
+ * @param {XRHand} hand
+ * @param {XRSpace} space - the reference space
+ * @returns {object|null} joint name -> [x, y, z], or null when not tracked
+ */
+export function readHandJoints(frame, hand, space) {
+    const joints = {};
+    for (const name of HAND_JOINTS) {
+        const jointSpace = hand.get(name);
+        const pose = jointSpace && frame.getJointPose(jointSpace, space);
+        if (!pose) return null;
+        const p = pose.transform.position;
+        joints[name] = [p.x, p.y, p.z];
+    }
+    return joints;
+}
+
+function vec(joints, name) {
+    return new THREE.Vector3().fromArray(joints[name]);
+}
+
+/** Distance between the thumb and index fingertips, in metres. */
+export function pinchDistance(joints) {
+    return vec(joints, 'thumb-tip').distanceTo(vec(joints, 'index-finger-tip'));
+}
+
+/** Point between the thumb and index fingertips. */
+export function pinchPoint(joints) {
+    return vec(joints, 'thumb-tip').add(vec(joints, 'index-finger-tip')).multiplyScalar(0.5);
+}
+
+/**
+ * Unit normal out of the palm.
+ * @param {object} joints
+ * @param {'left'|'right'} handedness
+ * @returns {THREE.Vector3}
+ */
+export function palmNormal(joints, handedness) {
+    const wrist = vec(joints, 'wrist');
+    const index = vec(joints, 'index-finger-metacarpal').sub(wrist);
+    const pinky = vec(joints, 'pinky-finger-metacarpal').sub(wrist);
+    // The left hand is the mirror image, so its cross product flips
+    const normal = index.cross(pinky).normalize();
+    return handedness === 'left' ? normal.negate() : normal;
+}
+
+/**
+ * Transform that carries two grabbed points from where they were to where
+ * they are: the midpoint moves, the world turns about the vertical with the
+ * line between the hands, and scales with their distance.
+ * @param {THREE.Vector3} fromA
+ * @param {THREE.Vector3} fromB
+ * @param {THREE.Vector3} toA
+ * @param {THREE.Vector3} toB
+ * @returns {{pivotFrom: THREE.Vector3, pivotTo: THREE.Vector3, yaw: number, scale: number}}
+ */
+export function twoHandTransform(fromA, fromB, toA, toB) {
+    const pivotFrom = fromA.clone().add(fromB).multiplyScalar(0.5);
+    const pivotTo = toA.clone().add(toB).multiplyScalar(0.5);
+    const from = fromB.clone().sub(fromA);
+    const to = toB.clone().sub(toA);
+    // Heading of the hand-to-hand line, measured like rotateY()
+    const heading = v => Math.atan2(-v.z, v.x);
+    let yaw = heading(to) - heading(from);
+    yaw = Math.atan2(Math.sin(yaw), Math.cos(yaw));
+    const scale = from.length() > 0.01 ? to.length() / from.length() : 1;
+    return { pivotFrom, pivotTo, yaw, scale };
+}
+
+/**
+ * Apply a twoHandTransform() to an object; pivots are in its parent's space.
+ * @param {THREE.Object3D} object
+ * @param {{pivotFrom: THREE.Vector3, pivotTo: THREE.Vector3, yaw: number, scale: number}} transform
+ */
+export function applyTwoHandTransform(object, { pivotFrom, pivotTo, yaw, scale }) {
+    const up = new THREE.Vector3(0, 1, 0);
+    object.position.sub(pivotFrom).multiplyScalar(scale).applyAxisAngle(up, yaw).add(pivotTo);
+    object.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(up, yaw));
+    object.scale.multiplyScalar(scale);
+}
+
+function handState() {
+    return { pinching: false, pinchTime: 0, start: null, last: null, dragging: false, aiming: false, used: false, palmTime: 0, palmFired: false };
+}
+
+/**
+ * Turns a stream of joint snapshots into actions:
+ *
+ *   { type: 'play-pause' }
+ *   { type: 'scrub', delta }                 normalized time
+ *   { type: 'aim', hand }                    every frame while aiming
+ *   { type: 'teleport', hand }               aim released
+ *   { type: 'aim-cancel', hand }             aim taken over by a grab
+ *   { type: 'grab', from: [a, b], to: [a, b] }   pinch points (left, right)
+ *   { type: 'menu', hand }
+ */
+export class HandGestures {
+    constructor() {
+        this._hands = { left: handState(), right: handState() };
+        this._grab = null;  // last pinch points while both hands pinch
+    }
+
+    /**
+     * @param {{left: object|null, right: object|null, headYaw?: number}} snapshot
+     * @param {number} dt - seconds since the last snapshot
+     * @returns {object[]} actions (see class doc)
+     */
+    update(snapshot, dt) {
+        const actions = [];
+        for (const side of ['left', 'right']) {
+            this._updateHand(side, snapshot[side], snapshot.headYaw ?? 0, dt, actions);
+        }
+
+        // Two pinching hands grab the world; whatever they were doing alone stops
+        const { left, right } = this._hands;
+        if (left.pinching && right.pinching) {
+            const points = [left.last, right.last];
+            if (this._grab) {
+                actions.push({ type: 'grab', from: this._grab, to: points });
+            } else {
+                for (const [side, hand] of Object.entries(this._hands)) {
+                    if (hand.aiming) actions.push({ type: 'aim-cancel', hand: side });
+                    hand.aiming = false;
+                    hand.dragging = false;
+                    hand.used = true;
+                }
+            }
+            this._grab = points;
+        } else {
+            this._grab = null;
+        }
+        return actions;
+    }
+
+    _updateHand(side, joints, headYaw, dt, actions) {
+        const hand = this._hands[side];
+        if (!joints) {
+            // Tracking lost: drop the gesture without acting on it
+            if (hand.aiming) actions.push({ type: 'aim-cancel', hand: side });
+            this._hands[side] = handState();
+            return;
+        }
+
+        const distance = pinchDistance(joints);
+        const point = pinchPoint(joints);
+        if (!hand.pinching && distance < PINCH_START) {
+            Object.assign(hand, { pinching: true, pinchTime: 0, start: point, last: point, dragging: false, aiming: false, used: false });
+        } else if (hand.pinching && distance > PINCH_END) {
+            hand.pinching = false;
+            if (hand.aiming) {
+                actions.push({ type: 'teleport', hand: side });
+            } else if (side === 'right' && !hand.used && !hand.dragging && hand.pinchTime < TAP_TIME) {
+                actions.push({ type: 'play-pause' });
+            }
+            hand.aiming = false;
+            hand.dragging = false;
+        }
+
+        if (hand.pinching) {
+            hand.pinchTime += dt;
+            const previous = hand.last;
+            hand.last = point;
+            if (side === 'right' && !hand.used) {
+                // Sideways is along the viewer's right, whatever way the rig faces
+                const right = new THREE.Vector3(Math.cos(headYaw), 0, -Math.sin(headYaw));
+                if (!hand.dragging && Math.abs(point.clone().sub(hand.start).dot(right)) > DRAG_START) {
+                    hand.dragging = true;
+                } else if (hand.dragging) {
+                    actions.push({ type: 'scrub', delta: point.clone().sub(previous).dot(right) * SCRUB_PER_METRE });
+                }
+            } else if (side === 'left' && !hand.used && hand.pinchTime >= AIM_DELAY) {
+                hand.aiming = true;
+                actions.push({ type: 'aim', hand: side });
+            }
+        }
+
+        // Palm up, held, toggles the menu once per raise
+        const palmUp = !hand.pinching && palmNormal(joints, side).y > PALM_UP_DOT;
+        hand.palmTime = palmUp ? hand.palmTime + dt : 0;
+        if (!palmUp) {
+            hand.palmFired = false;
+        } else if (hand.palmTime >= PALM_UP_HOLD && !hand.palmFired) {
+            hand.palmFired = true;
+            actions.push({ type: 'menu', hand: side });
+        }
+    }
+}
+
+/**
+ * Run recorded or synthetic frames through a recognizer.
+ * @param {object[]} frames - { dt, left, right, headYaw } snapshots
+ * @param {HandGestures} [gestures]
+ * @returns {object[]} actions, each with the index of the frame that produced it
+ */
+export function replayHandFrames(frames, gestures = new HandGestures()) {
+    const actions = [];
+    frames.forEach((frame, index) => {
+        for (const action of gestures.update(frame, frame.dt ?? 0)) actions.push({ ...action, frame: index });
+    });
+    return actions;
+}
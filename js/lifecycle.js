@@ -0,0 +1,63 @@
+/**
+ * Ownership of every per-scene resource.
+ *
+ * loadScene() registers textures, meshes and animation handles with a
+ * SceneLifecycle as it creates them. Disposing the lifecycle releases them in
+ * reverse order of creation, so a scene switch or a failed load leaves no GPU
+ * memory or per-frame callbacks behind.
+ */
+export class SceneLifecycle {
+    /**
+     * @param {string} name - scene name for logs
+     */
+    constructor(name) {
+        this.name = name;
+        this.disposed = false;
+        this._disposers = [];
+
+        /**
+         * Sets the whole scene's opacity in [0, 1] for cross-fades; assigned
+         * once the scene's mesh exists.
+         * @type {function(number): void}
+         */
+        this.setOpacity = () => {};
+    }
+
+    /**
+     * Register a cleanup callback. Runs immediately if the scene was already
+     * disposed (e.g. a resource finished loading after a failed switch).
+     * @param {function(): void} fn
+     */
+    onDispose(fn) {
+        if (this.disposed) {
+            fn();
+            return;
+        }
+        this._disposers.push(fn);
+    }
+
+    /**
+     * Track an object with a dispose() method.
+     * @template T
+     * @param {T} resource
+     * @returns {T} the same resource, for inline use
+     */
+    track(resource) {
+        this.onDispose(() => resource.dispose());
+        return resource;
+    }
+
+    /** Release everything registered, newest first. Safe to call twice. */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        while (this._disposers.length > 0) {
+            const fn = this._disposers.pop();
+            try {
+                fn();
+            } catch (e) {
+                console.warn(`Failed to release a resource of scene "${this.name}":`, e);
+            }
+        }
+    }
+}
@@ -1,14 +1,25 @@
 import * as THREE from 'three';
+import { MotionBasis, MAX_MOTION_COEFFICIENTS, getMotionModel } from './motion.js';
+import { OpacityProfile, getOpacityProfile } from './opacity.js';
 
 /**
  * Parsed temporal data from .4d.bin sidecar file.
  */
 export class TemporalData {
     constructor() {
+        this.version = 1;
         this.splatCount = 0;
         this.flags = 0;
         this.timeMin = 0;
         this.timeMax = 1;
+
+        /** Optional playback metadata (v2 playback block); null when absent */
+        this.playbackMin = null;
+        this.playbackMax = null;
+        /** Real-world length in seconds of model time [0, 1] */
+        this.captureDuration = null;
+        /** Source capture frame rate (frames per second) */
+        this.frameRate = null;
         this.hasAcceleration = false;
         this.hasAngularVelocity = false;
 
@@ -22,37 +33,121 @@ export class TemporalData {
         this.accelerations = null;
         /** @type {Float32Array|null} [N*3] angular velocity xyz */
         this.angularVelocities = null;
+
+        /** Motion basis id (see motion.js); legacy files use POLYNOMIAL */
+        this.motionBasis = MotionBasis.POLYNOMIAL;
+        /** @type {Float32Array[]} K planes of [N*3] coefficients for the motion basis */
+        this.motionCoefficients = [];
+        /** True when motionCoefficients were derived from the velocity and
+         *  acceleration fields rather than read from the file */
+        this.motionFromVelocities = false;
+
+        /** Scene-wide temporal opacity profile id (see opacity.js) */
+        this.opacityProfile = OpacityProfile.GAUSSIAN;
+        /** @type {Float32Array|null} [N] per-splat profile parameter (edge width / trailing duration) */
+        this.opacityParams = null;
+        /** @type {Float32Array|null} [N] per-splat profile ids, overriding opacityProfile */
+        this.opacityProfiles = null;
     }
 }
 
+/** Magic bytes at the start of a v2+ sidecar ("F4DB"). */
+export const TEMPORAL_MAGIC = 0x42443446;
+export const TEMPORAL_VERSION = 2;
+
+const V1_HEADER_BYTES = 16;
+const V2_HEADER_BYTES = 32;
+const V2_FIELD_DESC_BYTES = 20;
+const V2_PLAYBACK_BYTES = 16;
+
+/** Field identifiers used in the v2 field descriptor table. */
+export const TemporalField = Object.freeze({
+    TIMES: 0,
+    DURATIONS: 1,
+    VELOCITIES: 2,
+    ACCELERATIONS: 3,
+    ANGULAR_VELOCITIES: 4,
+    MOTION_COEFFICIENTS: 5,
+    OPACITY_PARAMS: 6,
+    OPACITY_PROFILES: 7,
+});
+
+/** Per-field storage encodings in the v2 container. */
+export const FieldEncoding = Object.freeze({
+    FLOAT32: 0,
+    FLOAT16: 1,
+    UINT16: 2, // linearly quantized between the descriptor's min/max
+});
+
+const ENCODING_BYTES = { [FieldEncoding.FLOAT32]: 4, [FieldEncoding.FLOAT16]: 2, [FieldEncoding.UINT16]: 2 };
+
+// Field id → [TemporalData property, components per splat, required]
+// Motion coefficients have a variable component count (3 per coefficient).
+const FIELD_LAYOUT = {
+    [TemporalField.TIMES]: ['times', 1, true],
+    [TemporalField.DURATIONS]: ['durations', 1, true],
+    [TemporalField.VELOCITIES]: ['velocities', 3, false],
+    [TemporalField.ACCELERATIONS]: ['accelerations', 3, false],
+    [TemporalField.ANGULAR_VELOCITIES]: ['angularVelocities', 3, false],
+    [TemporalField.MOTION_COEFFICIENTS]: ['motionCoefficients', null, false],
+    [TemporalField.OPACITY_PARAMS]: ['opacityParams', 1, false],
+    [TemporalField.OPACITY_PROFILES]: ['opacityProfiles', 1, false],
+};
+
 /**
- * Load and parse temporal sidecar binary.
+ * Download a file as an ArrayBuffer, reporting progress per chunk.
  *
- * Format:
- *   Header (16 bytes): N(u32), flags(u32), time_min(f32), time_max(f32)
- *   Data: times[N], durations[N], velocities[N*3], [accel[N*3]], [angvel[N*3]]
+ * When the server sends a Content-Length, chunks are written straight into a
+ * preallocated buffer and `onData` receives a view of the bytes received so
+ * far (used for progressive previews). Without one, chunks are concatenated
+ * at the end and `onData` is not called.
  *
  * @param {string} url
- * @param {function} onProgress - callback(received, total)
- * @returns {Promise<TemporalData>}
+ * @param {function} [onProgress] - callback(received, total); total is 0 if unknown
+ * @param {function} [onData] - callback(receivedBytes: Uint8Array, total)
+ * @param {function(string): Promise<Response>} [fetchImpl] - e.g. a caching fetch
+ * @returns {Promise<ArrayBuffer>}
  */
-export async function loadTemporalData(url, onProgress) {
-    const response = await fetch(url);
+export async function fetchWithProgress(url, onProgress, onData, fetchImpl = fetch) {
+    const response = await fetchImpl(url);
     if (!response.ok) {
-        throw new Error(`Failed to load temporal data: ${response.status} ${response.statusText}`);
+        const error = new Error(`${response.status} ${response.statusText} (${url})`);
+        error.status = response.status;
+        throw error;
     }
 
-    const totalBytes = parseInt(response.headers.get('content-length') || '0');
+    // Compressed transfers report the encoded length, which would undercount
+    const encoded = response.headers.get('content-encoding');
+    const totalBytes = encoded && encoded !== 'identity'
+        ? 0
+        : parseInt(response.headers.get('content-length') || '0');
     const reader = response.body.getReader();
 
+    let target = totalBytes > 0 ? new Uint8Array(totalBytes) : null;
     const chunks = [];
     let received = 0;
     while (true) {
         const { done, value } = await reader.read();
         if (done) break;
-        chunks.push(value);
+        if (target) {
+            if (received + value.length > target.length) {
+                // Server sent more than advertised: fall back to chunk collection
+                chunks.push(target.subarray(0, received));
+                target = null;
+                chunks.push(value);
+            } else {
+                target.set(value, received);
+            }
+        } else {
+            chunks.push(value);
+        }
         received += value.length;
         if (onProgress) onProgress(received, totalBytes);
+        if (onData && target) onData(target.subarray(0, received), totalBytes);
+    }
+
+    if (target) {
+        return received === target.length ? target.buffer : target.slice(0, received).buffer;
     }
 
     // Concatenate chunks into single ArrayBuffer
@@ -63,18 +158,118 @@ export async function loadTemporalData(url, onProgress) {
         uint8.set(chunk, offset);
         offset += chunk.length;
     }
+    return buffer;
+}
+
+/**
+ * Combined progress over several downloads.
+ *
+ * Each stage has a default weight. Once every stage knows its byte size the
+ * fraction is byte-weighted instead, so a 40 MB splat file and a 10 MB
+ * sidecar fill the bar in proportion to what is actually being transferred.
+ */
+export class LoadProgress {
+    /**
+     * @param {Record<string, number>} weights - stage name → default weight
+     * @param {function(number): void} onChange - callback(fraction in [0, 1])
+     */
+    constructor(weights, onChange) {
+        this.onChange = onChange;
+        this._stages = {};
+        for (const [name, weight] of Object.entries(weights)) {
+            this._stages[name] = { weight, received: 0, total: 0, done: false };
+        }
+    }
+
+    /** Report bytes for a stage; total is 0 if unknown. */
+    update(name, received, total) {
+        const stage = this._stages[name];
+        stage.received = received;
+        stage.total = total;
+        this.onChange(this.fraction);
+    }
 
-    return parseTemporalBinary(buffer);
+    /** Mark a stage finished (also used for stages that were skipped or failed). */
+    complete(name) {
+        this._stages[name].done = true;
+        this.onChange(this.fraction);
+    }
+
+    get fraction() {
+        const stages = Object.values(this._stages);
+        const stageFraction = (s) => s.done ? 1 : (s.total > 0 ? Math.min(1, s.received / s.total) : 0);
+
+        // Byte-weighted once every pending stage knows its size; finished
+        // stages of unknown size count as the bytes they actually received
+        if (stages.every(s => s.done || s.total > 0)) {
+            const size = (s) => s.total > 0 ? s.total : s.received;
+            const totalBytes = stages.reduce((acc, s) => acc + size(s), 0);
+            if (totalBytes > 0) {
+                return stages.reduce((acc, s) => acc + size(s) * stageFraction(s), 0) / totalBytes;
+            }
+        }
+
+        const weightSum = stages.reduce((acc, s) => acc + s.weight, 0);
+        return stages.reduce((acc, s) => acc + s.weight * stageFraction(s), 0) / weightSum;
+    }
 }
 
 /**
  * Parse the temporal binary buffer.
+ *
+ * v1 (no magic):
+ *   Header (16 bytes): N(u32), flags(u32), time_min(f32), time_max(f32)
+ *   Data: times[N], durations[N], velocities[N*3], [accel[N*3]], [angvel[N*3]]
+ *
+ * v2:
+ *   Header (32 bytes): magic "F4DB", version(u32), N(u32), flags(u32),
+ *                      time_min(f32), time_max(f32), field_count(u32), header_size(u32)
+ *   Field table (20 bytes each): id(u8), encoding(u8), components(u8), param(u8),
+ *                                offset(u32), byte_length(u32), min(f32), max(f32)
+ *   Playback block (optional, 16 bytes, present when header_size leaves room
+ *   after the field table): playback_min(f32), playback_max(f32),
+ *   capture_duration_s(f32), frame_rate(f32); NaN or 0 marks unset values
+ *   Data: one 4-byte aligned section per field at its descriptor's offset
+ *
+ *   Motion coefficients (field 5) store K = components / 3 planes of [N*3]
+ *   back to back; `param` holds the MotionBasis id. Without that field the
+ *   velocity/acceleration fields form a polynomial basis as in v1.
+ *
+ *   Opacity params (field 6) hold one float per splat for the temporal
+ *   opacity profile; `param` holds the scene-wide OpacityProfile id. Optional
+ *   per-splat profile ids (field 7) override it and require field 6.
+ *
  * @param {ArrayBuffer} buffer
  * @returns {TemporalData}
  */
-function parseTemporalBinary(buffer) {
-    const data = new TemporalData();
+export function parseTemporalBinary(buffer) {
+    if (buffer.byteLength < 4) {
+        throw new Error(`Temporal sidecar is too short (${buffer.byteLength} bytes)`);
+    }
+
     const view = new DataView(buffer);
+    const data = view.getUint32(0, true) === TEMPORAL_MAGIC
+        ? parseTemporalV2(buffer, view)
+        : parseTemporalV1(buffer, view);
+
+    const N = data.splatCount;
+    console.log(`Temporal data loaded (v${data.version}): ${N.toLocaleString()} splats, ` +
+                `t=[${data.timeMin.toFixed(3)}, ${data.timeMax.toFixed(3)}], ` +
+                `motion=${getMotionModel(data.motionBasis).name}x${data.motionCoefficients.length}, ` +
+                `opacity=${data.opacityProfiles ? 'per-splat' : getOpacityProfile(data.opacityProfile).name}, ` +
+                `angvel=${data.hasAngularVelocity}`);
+
+    return data;
+}
+
+function parseTemporalV1(buffer, view) {
+    if (buffer.byteLength < V1_HEADER_BYTES) {
+        throw new Error(`Temporal sidecar has bad magic and is too short for a v1 header ` +
+                        `(${buffer.byteLength} bytes)`);
+    }
+
+    const data = new TemporalData();
+    data.version = 1;
 
     // Header (16 bytes)
     data.splatCount = view.getUint32(0, true);
@@ -85,7 +280,15 @@ function parseTemporalBinary(buffer) {
     data.hasAngularVelocity = !!(data.flags & 2);
 
     const N = data.splatCount;
-    let ptr = 16;
+    const floatsPerSplat = 5 + (data.hasAcceleration ? 3 : 0) + (data.hasAngularVelocity ? 3 : 0);
+    const expectedBytes = V1_HEADER_BYTES + N * floatsPerSplat * 4;
+    if (buffer.byteLength !== expectedBytes) {
+        throw new Error(`Temporal sidecar has no "F4DB" magic and is not a valid v1 file: ` +
+                        `header declares ${N} splats (flags=${data.flags}) = ${expectedBytes} bytes, ` +
+                        `got ${buffer.byteLength} bytes`);
+    }
+
+    let ptr = V1_HEADER_BYTES;
 
     // Zero-copy Float32Array views
     data.times = new Float32Array(buffer, ptr, N);
@@ -107,76 +310,513 @@ function parseTemporalBinary(buffer) {
         ptr += N * 3 * 4;
     }
 
-    console.log(`Temporal data loaded: ${N.toLocaleString()} splats, ` +
-                `t=[${data.timeMin.toFixed(3)}, ${data.timeMax.toFixed(3)}], ` +
-                `accel=${data.hasAcceleration}, angvel=${data.hasAngularVelocity}`);
+    data.motionCoefficients = legacyMotionCoefficients(data);
+    data.motionFromVelocities = true;
+    return data;
+}
+
+/** Velocity (+ acceleration) expressed as polynomial basis coefficients. */
+function legacyMotionCoefficients(data) {
+    return data.accelerations ? [data.velocities, data.accelerations] : [data.velocities];
+}
+
+function parseTemporalV2(buffer, view) {
+    if (buffer.byteLength < V2_HEADER_BYTES) {
+        throw new Error(`Temporal sidecar is truncated: ${buffer.byteLength} bytes, ` +
+                        `v2 header needs ${V2_HEADER_BYTES}`);
+    }
+
+    const data = new TemporalData();
+    data.version = view.getUint32(4, true);
+    if (data.version !== TEMPORAL_VERSION) {
+        throw new Error(`Unsupported temporal sidecar version ${data.version} ` +
+                        `(this viewer reads v1 and v${TEMPORAL_VERSION})`);
+    }
+
+    data.splatCount = view.getUint32(8, true);
+    data.flags = view.getUint32(12, true);
+    data.timeMin = view.getFloat32(16, true);
+    data.timeMax = view.getFloat32(20, true);
+    const fieldCount = view.getUint32(24, true);
+    const headerSize = view.getUint32(28, true);
+
+    const tableEnd = V2_HEADER_BYTES + fieldCount * V2_FIELD_DESC_BYTES;
+    if (headerSize < tableEnd || headerSize > buffer.byteLength) {
+        throw new Error(`Temporal sidecar header is corrupt: header_size=${headerSize}, ` +
+                        `${fieldCount} fields need ${tableEnd} bytes, file is ${buffer.byteLength} bytes`);
+    }
+
+    if (headerSize >= tableEnd + V2_PLAYBACK_BYTES) {
+        const min = view.getFloat32(tableEnd, true);
+        const max = view.getFloat32(tableEnd + 4, true);
+        const seconds = view.getFloat32(tableEnd + 8, true);
+        const fps = view.getFloat32(tableEnd + 12, true);
+        if (Number.isFinite(min) && Number.isFinite(max) && max > min) {
+            data.playbackMin = min;
+            data.playbackMax = max;
+        }
+        if (seconds > 0) data.captureDuration = seconds;
+        if (fps > 0) data.frameRate = fps;
+    }
+
+    const N = data.splatCount;
+    for (let f = 0; f < fieldCount; f++) {
+        const d = V2_HEADER_BYTES + f * V2_FIELD_DESC_BYTES;
+        const desc = {
+            id: view.getUint8(d),
+            encoding: view.getUint8(d + 1),
+            components: view.getUint8(d + 2),
+            param: view.getUint8(d + 3),
+            offset: view.getUint32(d + 4, true),
+            byteLength: view.getUint32(d + 8, true),
+            min: view.getFloat32(d + 12, true),
+            max: view.getFloat32(d + 16, true),
+        };
 
+        // Unknown fields are skipped so newer writers stay readable
+        const layout = FIELD_LAYOUT[desc.id];
+        if (!layout) continue;
+        const [prop] = layout;
+        const components = layout[1] ?? desc.components;
+
+        const bytesPer = ENCODING_BYTES[desc.encoding];
+        if (!bytesPer) {
+            throw new Error(`Temporal field "${prop}" uses unknown encoding ${desc.encoding}`);
+        }
+        if (desc.components !== components) {
+            throw new Error(`Temporal field "${prop}" has ${desc.components} components, expected ${components}`);
+        }
+        if (desc.id === TemporalField.MOTION_COEFFICIENTS) {
+            const K = components / 3;
+            if (!Number.isInteger(K) || K < 1 || K > MAX_MOTION_COEFFICIENTS) {
+                throw new Error(`Motion coefficient field has ${components} components; expected 3 per ` +
+                                `coefficient and at most ${MAX_MOTION_COEFFICIENTS} coefficients`);
+            }
+            getMotionModel(desc.param); // throws for unregistered bases
+        }
+        if (desc.id === TemporalField.OPACITY_PARAMS) {
+            getOpacityProfile(desc.param); // throws for unregistered profiles
+        }
+        const expected = N * components * bytesPer;
+        if (desc.byteLength !== expected) {
+            throw new Error(`Temporal field "${prop}" is ${desc.byteLength} bytes, ` +
+                            `expected ${expected} for ${N} splats`);
+        }
+        if (desc.offset < headerSize || desc.offset + desc.byteLength > buffer.byteLength) {
+            throw new Error(`Temporal field "${prop}" [${desc.offset}, ${desc.offset + desc.byteLength}) ` +
+                            `lies outside the ${buffer.byteLength}-byte file (truncated download?)`);
+        }
+
+        const values = decodeField(buffer, desc, N * components);
+        if (desc.id === TemporalField.MOTION_COEFFICIENTS) {
+            data.motionBasis = desc.param;
+            data.motionCoefficients = [];
+            for (let k = 0; k < components / 3; k++) {
+                data.motionCoefficients.push(values.subarray(k * N * 3, (k + 1) * N * 3));
+            }
+        } else {
+            data[prop] = values;
+            if (desc.id === TemporalField.OPACITY_PARAMS) {
+                data.opacityProfile = desc.param;
+            }
+        }
+    }
+
+    for (const [prop, , required] of Object.values(FIELD_LAYOUT)) {
+        if (required && !data[prop]) {
+            throw new Error(`Temporal sidecar is missing required field "${prop}"`);
+        }
+    }
+    if (data.motionCoefficients.length === 0) {
+        if (!data.velocities) {
+            throw new Error('Temporal sidecar has neither "velocities" nor "motionCoefficients"');
+        }
+        data.motionCoefficients = legacyMotionCoefficients(data);
+        data.motionFromVelocities = true;
+    }
+    if (data.opacityProfiles) {
+        if (!data.opacityParams) {
+            throw new Error('Temporal sidecar has per-splat opacity profiles but no "opacityParams" field');
+        }
+        validateOpacityProfiles(data.opacityProfiles);
+    }
+
+    data.hasAcceleration = !!data.accelerations;
+    data.hasAngularVelocity = !!data.angularVelocities;
     return data;
 }
 
 /**
- * Create Three.js DataTextures from temporal data for GPU upload.
+ * Check that a sidecar describes the same number of splats as its splat file.
  *
- * Packs data into 2D float textures addressable by splat index.
- * Texture coordinate: x = index % width, y = floor(index / width)
+ * Structural problems (bad magic, wrong lengths) are already rejected by
+ * parseTemporalBinary(), and validateTemporalValues() runs in the parsing
+ * worker; this is the one check that needs the decoded splats.
  *
  * @param {TemporalData} data
- * @returns {object} { timesTex, durationsTex, velocitiesTex, accelTex?, angvelTex?, texWidth, texHeight }
+ * @param {number} splatCount - splats in the paired SPZ/PLY
+ * @param {object} [urls] - { splatUrl, temporalUrl } for messages
+ * @returns {string[]} problems (at most one)
+ */
+export function checkSplatCount(data, splatCount, urls = {}) {
+    const splatName = urls.splatUrl ?? 'splat file';
+    const temporalName = urls.temporalUrl ?? 'temporal sidecar';
+    if (data.splatCount === splatCount) return [];
+    return [`Splat count mismatch: ${splatName} has ${splatCount.toLocaleString()} splats, ` +
+            `${temporalName} has ${data.splatCount.toLocaleString()}`];
+}
+
+/**
+ * Check the time range and that every per-splat value is finite.
+ * @returns {string[]} problems
  */
-export function createTemporalTextures(data) {
+export function validateTemporalValues(data, urls = {}) {
+    const problems = [];
+    const temporalName = urls.temporalUrl ?? 'temporal sidecar';
+
+    if (!Number.isFinite(data.timeMin) || !Number.isFinite(data.timeMax) || data.timeMin > data.timeMax) {
+        problems.push(`Invalid time range [${data.timeMin}, ${data.timeMax}] in ${temporalName}`);
+    }
+
+    const arrays = {
+        times: data.times,
+        durations: data.durations,
+        angularVelocities: data.angularVelocities,
+        opacityParams: data.opacityParams,
+    };
+    data.motionCoefficients.forEach((plane, k) => { arrays[`motionCoefficients[${k}]`] = plane; });
+
+    for (const [name, values] of Object.entries(arrays)) {
+        if (!values) continue;
+        let bad = 0, first = -1;
+        for (let i = 0; i < values.length; i++) {
+            if (!Number.isFinite(values[i])) {
+                if (first < 0) first = i;
+                bad++;
+            }
+        }
+        if (bad > 0) {
+            problems.push(`${bad.toLocaleString()} non-finite value(s) in ${name} ` +
+                          `(first at element ${first}) in ${temporalName}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Snap per-splat profile ids to integers (uint16 quantization can leave them
+ * slightly off) and check that every id is registered.
+ */
+function validateOpacityProfiles(profiles) {
+    const seen = new Set();
+    for (let i = 0; i < profiles.length; i++) {
+        profiles[i] = Math.round(profiles[i]);
+        seen.add(profiles[i]);
+    }
+    for (const id of seen) getOpacityProfile(id);
+}
+
+/**
+ * Decode one v2 field section into a Float32Array.
+ * float32 sections are returned as zero-copy views.
+ */
+function decodeField(buffer, desc, count) {
+    if (desc.encoding === FieldEncoding.FLOAT32) {
+        if (desc.offset % 4 !== 0) {
+            throw new Error(`Temporal float32 field at offset ${desc.offset} is not 4-byte aligned`);
+        }
+        return new Float32Array(buffer, desc.offset, count);
+    }
+
+    const src = new DataView(buffer, desc.offset, desc.byteLength);
+    const out = new Float32Array(count);
+    if (desc.encoding === FieldEncoding.FLOAT16) {
+        for (let i = 0; i < count; i++) {
+            out[i] = THREE.DataUtils.fromHalfFloat(src.getUint16(i * 2, true));
+        }
+    } else {
+        const scale = (desc.max - desc.min) / 65535;
+        for (let i = 0; i < count; i++) {
+            out[i] = desc.min + src.getUint16(i * 2, true) * scale;
+        }
+    }
+    return out;
+}
+
+/**
+ * Serialize temporal data into a v2 sidecar.
+ *
+ * @param {TemporalData} data
+ * @param {object} [options]
+ * @param {object} [options.encodings] - per-property FieldEncoding overrides,
+ *   e.g. { velocities: FieldEncoding.FLOAT16 }. Unlisted fields use float32.
+ * @returns {ArrayBuffer}
+ */
+export function encodeTemporalBinary(data, options = {}) {
+    const encodings = options.encodings ?? {};
+    const N = data.splatCount;
+
+    const fields = [];
+    for (const [id, [prop, fixedComponents]] of Object.entries(FIELD_LAYOUT)) {
+        let values = data[prop];
+        let components = fixedComponents;
+        let param = 0;
+        if (Number(id) === TemporalField.MOTION_COEFFICIENTS) {
+            // Coefficients derived from velocity/acceleration are written as
+            // those fields instead
+            if (data.motionFromVelocities || values.length === 0) continue;
+            components = values.length * 3;
+            param = data.motionBasis;
+            const planar = new Float32Array(N * components);
+            values.forEach((plane, k) => planar.set(plane.subarray(0, N * 3), k * N * 3));
+            values = planar;
+        } else if (Number(id) === TemporalField.OPACITY_PARAMS) {
+            if (!values && data.opacityProfile !== OpacityProfile.GAUSSIAN) {
+                throw new Error(`Opacity profile "${getOpacityProfile(data.opacityProfile).name}" ` +
+                                'requires per-splat opacityParams');
+            }
+            param = data.opacityProfile;
+        }
+        if (!values) continue;
+        const encoding = encodings[prop] ?? FieldEncoding.FLOAT32;
+        if (!ENCODING_BYTES[encoding]) {
+            throw new Error(`Unknown encoding ${encoding} for field "${prop}"`);
+        }
+        const count = N * components;
+        let min = 0, max = 0;
+        if (encoding === FieldEncoding.UINT16) {
+            min = Infinity; max = -Infinity;
+            for (let i = 0; i < count; i++) {
+                if (values[i] < min) min = values[i];
+                if (values[i] > max) max = values[i];
+            }
+            if (!(max > min)) max = min + 1;
+        }
+        fields.push({ id: Number(id), values, components, param, encoding, count, min, max,
+                      byteLength: count * ENCODING_BYTES[encoding] });
+    }
+
+    const tableEnd = V2_HEADER_BYTES + fields.length * V2_FIELD_DESC_BYTES;
+    const hasPlayback = data.playbackMin !== null || data.captureDuration !== null || data.frameRate !== null;
+    const headerSize = tableEnd + (hasPlayback ? V2_PLAYBACK_BYTES : 0);
+    let ptr = headerSize;
+    for (const field of fields) {
+        field.offset = ptr;
+        ptr = (ptr + field.byteLength + 3) & ~3;
+    }
+
+    const buffer = new ArrayBuffer(ptr);
+    const view = new DataView(buffer);
+    view.setUint32(0, TEMPORAL_MAGIC, true);
+    view.setUint32(4, TEMPORAL_VERSION, true);
+    view.setUint32(8, N, true);
+    view.setUint32(12, (data.accelerations ? 1 : 0) | (data.angularVelocities ? 2 : 0), true);
+    view.setFloat32(16, data.timeMin, true);
+    view.setFloat32(20, data.timeMax, true);
+    view.setUint32(24, fields.length, true);
+    view.setUint32(28, headerSize, true);
+
+    if (hasPlayback) {
+        view.setFloat32(tableEnd, data.playbackMin ?? NaN, true);
+        view.setFloat32(tableEnd + 4, data.playbackMax ?? NaN, true);
+        view.setFloat32(tableEnd + 8, data.captureDuration ?? 0, true);
+        view.setFloat32(tableEnd + 12, data.frameRate ?? 0, true);
+    }
+
+    fields.forEach((field, f) => {
+        const d = V2_HEADER_BYTES + f * V2_FIELD_DESC_BYTES;
+        view.setUint8(d, field.id);
+        view.setUint8(d + 1, field.encoding);
+        view.setUint8(d + 2, field.components);
+        view.setUint8(d + 3, field.param);
+        view.setUint32(d + 4, field.offset, true);
+        view.setUint32(d + 8, field.byteLength, true);
+        view.setFloat32(d + 12, field.min, true);
+        view.setFloat32(d + 16, field.max, true);
+
+        const { values, count, offset } = field;
+        if (field.encoding === FieldEncoding.FLOAT32) {
+            new Float32Array(buffer, offset, count).set(values.subarray(0, count));
+        } else if (field.encoding === FieldEncoding.FLOAT16) {
+            for (let i = 0; i < count; i++) {
+                view.setUint16(offset + i * 2, THREE.DataUtils.toHalfFloat(values[i]), true);
+            }
+        } else {
+            const scale = 65535 / (field.max - field.min);
+            for (let i = 0; i < count; i++) {
+                const q = Math.round((values[i] - field.min) * scale);
+                view.setUint16(offset + i * 2, Math.max(0, Math.min(65535, q)), true);
+            }
+        }
+    });
+
+    return buffer;
+}
+
+/** How temporal attributes are distributed over textures. */
+export const TextureLayout = Object.freeze({
+    /** One texture per attribute: R32F scalars, RGBA32F vectors with `w` unused. */
+    SEPARATE: 'separate',
+    /** Scalars fill the unused `w` of vector texels; leftovers share RG/RGBA texels. */
+    PACKED: 'packed',
+});
+
+/** Texel storage precision. */
+export const TexturePrecision = Object.freeze({
+    FLOAT32: 'float32',
+    /** 16-bit floats, each channel scaled to [-1, 1] by a per-texture range */
+    HALF: 'half',
+});
+
+/**
+ * Pack temporal data into padded texture planes, ready for GPU upload.
+ *
+ * Every plane is a 2D texture addressable by splat index:
+ * x = index % width, y = floor(index / width). `fields` records where each
+ * attribute lives, so the shader can fetch from any layout. This is the
+ * expensive part of texture creation, so it has no Three.js texture dependency
+ * and runs in the parsing worker; every array owns its buffer so the result
+ * can be transferred back without copying.
+ *
+ * @param {TemporalData} data
+ * @param {object} [options]
+ * @param {string} [options.layout=TextureLayout.PACKED]
+ * @param {string} [options.precision=TexturePrecision.FLOAT32]
+ * @returns {object} { texWidth, texHeight, layout, precision, byteSize,
+ *   planes: [{ channels, array, scale }], fields: { time, duration, motion[],
+ *   angvel?, opacityParam?, opacityProfile? } } where each field is
+ *   { plane, channel } (vectors occupy channels 0-2) and scale is a per-channel
+ *   multiplier (null at float32)
+ */
+export function packTemporalTextures(data, options = {}) {
+    const layout = options.layout ?? TextureLayout.PACKED;
+    const precision = options.precision ?? TexturePrecision.FLOAT32;
+    if (!Object.values(TextureLayout).includes(layout)) {
+        throw new Error(`Unknown temporal texture layout "${layout}"`);
+    }
+    if (!Object.values(TexturePrecision).includes(precision)) {
+        throw new Error(`Unknown temporal texture precision "${precision}"`);
+    }
+
     const N = data.splatCount;
     const texWidth = Math.ceil(Math.sqrt(N));
     const texHeight = Math.ceil(N / texWidth);
     const texSize = texWidth * texHeight;
 
-    // Create a single-channel (R32F) DataTexture
-    function makeR32Texture(srcArray) {
-        const padded = new Float32Array(texSize);
-        padded.set(srcArray.subarray(0, Math.min(srcArray.length, padded.length)));
-        const tex = new THREE.DataTexture(
-            padded, texWidth, texHeight, THREE.RedFormat, THREE.FloatType
-        );
-        tex.magFilter = THREE.NearestFilter;
-        tex.minFilter = THREE.NearestFilter;
-        tex.needsUpdate = true;
-        return tex;
+    // Attributes to place: [field name, source array, exact?]. Profile ids
+    // must survive the round trip exactly, so they are never range-scaled.
+    const scalars = [['time', data.times], ['duration', data.durations]];
+    if (data.opacityParams) scalars.push(['opacityParam', data.opacityParams]);
+    if (data.opacityProfiles) scalars.push(['opacityProfile', data.opacityProfiles, true]);
+    const vectors = data.motionCoefficients.map((plane, k) => [`motion${k}`, plane]);
+    if (data.hasAngularVelocity && data.angularVelocities) vectors.push(['angvel', data.angularVelocities]);
+
+    // Plan the planes: each entry is a list of [name, source, components, exact]
+    const plan = [];
+    if (layout === TextureLayout.SEPARATE) {
+        for (const [name, src, exact] of scalars) plan.push([[name, src, 1, exact]]);
+        for (const [name, src] of vectors) plan.push([[name, src, 3]]);
+    } else {
+        const pending = [...scalars];
+        for (const [name, src] of vectors) {
+            const plane = [[name, src, 3]];
+            if (pending.length > 0) {
+                const [sName, sSrc, exact] = pending.shift();
+                plane.push([sName, sSrc, 1, exact]);
+            }
+            plan.push(plane);
+        }
+        while (pending.length > 0) {
+            plan.push(pending.splice(0, 4).map(([name, src, exact]) => [name, src, 1, exact]));
+        }
     }
 
-    // Create a 4-channel (RGBA32F) DataTexture from 3-channel interleaved data.
-    // RGB format is not valid for float textures in WebGL2, so pad to RGBA.
-    function makeRGBA32Texture(srcArray3) {
-        const padded = new Float32Array(texSize * 4);
-        const count = Math.min(N, srcArray3.length / 3);
-        for (let i = 0; i < count; i++) {
-            padded[i * 4] = srcArray3[i * 3];
-            padded[i * 4 + 1] = srcArray3[i * 3 + 1];
-            padded[i * 4 + 2] = srcArray3[i * 3 + 2];
-            // w = 0 (padding)
-        }
-        const tex = new THREE.DataTexture(
-            padded, texWidth, texHeight, THREE.RGBAFormat, THREE.FloatType
-        );
+    const fields = { motion: [] };
+    const planes = plan.map((entries, planeIndex) => {
+        const used = entries.reduce((acc, e) => acc + e[2], 0);
+        // RGB float textures aren't renderable in WebGL2, so 3 channels pad to 4
+        const channels = used <= 2 ? used : 4;
+
+        // Interleave into a float32 staging array
+        const staging = new Float32Array(texSize * channels);
+        const exactChannels = new Set();
+        let channel = 0;
+        for (const [name, src, components, exact] of entries) {
+            const count = Math.min(N, src.length / components);
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < components; c++) {
+                    staging[i * channels + channel + c] = src[i * components + c];
+                }
+            }
+            if (exact) exactChannels.add(channel);
+
+            const field = { plane: planeIndex, channel };
+            if (name.startsWith('motion')) {
+                fields.motion[Number(name.slice(6))] = field;
+            } else {
+                fields[name] = field;
+            }
+            channel += components;
+        }
+
+        if (precision === TexturePrecision.FLOAT32) {
+            return { channels, array: staging, scale: null };
+        }
+
+        // Half floats: normalize each channel by its largest magnitude so
+        // small values stay out of the subnormal range and large ones can't
+        // overflow; the shader multiplies the scale back in
+        const scale = [1, 1, 1, 1];
+        for (let c = 0; c < channels; c++) {
+            if (exactChannels.has(c)) continue;
+            let maxAbs = 0;
+            for (let i = c; i < staging.length; i += channels) {
+                maxAbs = Math.max(maxAbs, Math.abs(staging[i]));
+            }
+            if (maxAbs > 0) scale[c] = maxAbs;
+        }
+        const array = new Uint16Array(staging.length);
+        for (let i = 0; i < staging.length; i++) {
+            array[i] = THREE.DataUtils.toHalfFloat(staging[i] / scale[i % channels]);
+        }
+        return { channels, array, scale };
+    });
+
+    const byteSize = planes.reduce((acc, p) => acc + p.array.byteLength, 0);
+    return { texWidth, texHeight, layout, precision, byteSize, planes, fields };
+}
+
+/**
+ * Create Three.js DataTextures from temporal data for GPU upload.
+ *
+ * @param {TemporalData} data
+ * @param {object} [packed] - result of packTemporalTextures(), e.g. from the
+ *   parsing worker; packed on the calling thread (default layout) when omitted
+ * @returns {object} { textures: DataTexture[], planes, fields, texWidth, texHeight,
+ *                     layout, precision, byteSize }; see packTemporalTextures()
+ */
+export function createTemporalTextures(data, packed = packTemporalTextures(data)) {
+    const { texWidth, texHeight } = packed;
+    const formats = { 1: THREE.RedFormat, 2: THREE.RGFormat, 4: THREE.RGBAFormat };
+    const type = packed.precision === TexturePrecision.HALF ? THREE.HalfFloatType : THREE.FloatType;
+
+    const textures = packed.planes.map(({ channels, array }) => {
+        const tex = new THREE.DataTexture(array, texWidth, texHeight, formats[channels], type);
         tex.magFilter = THREE.NearestFilter;
         tex.minFilter = THREE.NearestFilter;
         tex.needsUpdate = true;
         return tex;
-    }
+    });
 
-    const result = {
+    return {
+        textures,
+        planes: packed.planes.map(({ channels, scale }) => ({ channels, scale })),
+        fields: packed.fields,
         texWidth,
         texHeight,
-        timesTex: makeR32Texture(data.times),
-        durationsTex: makeR32Texture(data.durations),
-        velocitiesTex: makeRGBA32Texture(data.velocities),
+        layout: packed.layout,
+        precision: packed.precision,
+        byteSize: packed.byteSize,
     };
-
-    if (data.hasAcceleration && data.accelerations) {
-        result.accelTex = makeRGBA32Texture(data.accelerations);
-    }
-
-    if (data.hasAngularVelocity && data.angularVelocities) {
-        result.angvelTex = makeRGBA32Texture(data.angularVelocities);
-    }
-
-    return result;
 }
@@ -1,80 +1,68 @@
 import * as THREE from 'three';
-import { SparkRenderer, SplatMesh, VRButton } from '@sparkjsdev/spark';
-import { loadTemporalData, createTemporalTextures } from './loader.js';
+import { SparkRenderer, SplatMesh, PackedSplats, VRButton } from '@sparkjsdev/spark';
+import { createTemporalTextures, checkSplatCount } from './loader.js';
 import { buildDynoModifier, createCPUFallback, TemporalController } from './temporal.js';
-import { VRControls, FPVControls } from './controls.js';
+import { VRControls, FPVControls, OrbitViewControls } from './controls.js';
+import { SplatPreview } from './preview.js';
+import { SceneLifecycle } from './lifecycle.js';
+import { SceneCache, cachedFetch, createPackedSplats } from './scene-cache.js';
+import { CrossFade } from './transition.js';
+import { normalizeSceneEntry, UP_AXIS_ROTATIONS } from './manifest.js';
+import { loadSourceConfig, discoverScenes } from './scene-sources.js';
+import { readViewState, writeViewState, sceneLinkKey, findSceneIndex } from './deep-link.js';
+import { CameraPath, CameraPathPlayer } from './camera-path.js';
+import { exportFrames, readExportParams } from './frame-export.js';
+import { captureScreenshot, screenshotBaseName } from './screenshot.js';
+import { VRPanel } from './vr-panel.js';
+import { ARSession } from './ar-session.js';
+import { loadVRSettings, saveVRSettings, normalizeVRSettings } from './vr-settings.js';
 import { UI } from './ui.js';
 
-// Base URL for Cloudflare R2 bucket (no trailing slash)
-const R2_BASE_URL = 'https://r2.pentacoxian.dev/public';
-
 let renderer, scene, camera, cameraRig, controls, sparkRenderer;
-let splatMesh, temporalCtrl, vrControls, ui;
+// Desktop camera modes; `controls` is whichever one is active
+let fpvControls, orbitControls;
+// Bounds center of the current splat mesh, the default orbit target
+let sceneCenter = null;
+let splatMesh, temporalCtrl, vrControls, vrPanel, arSession, ui;
+/** @type {SceneLifecycle|null} resources of the scene being shown */
+let currentScene = null;
 let clock;
 
 // Scene list discovered from data folders
 let scenes = [];
 
-async function discoverScenes() {
-    // 1. Try R2 manifest first
-    try {
-        const resp = await fetch(`${R2_BASE_URL}/scenes.json`);
-        if (resp.ok) {
-            const contentType = resp.headers.get('content-type') || '';
-            if (contentType.includes('application/json')) {
-                const manifest = await resp.json();
-                // Resolve relative paths in the manifest against the R2 base URL
-                return manifest.map(entry => {
-                    const splatUrl = entry.url || entry.ply;
-                    const resolvedSplat = splatUrl.startsWith('http') ? splatUrl : `${R2_BASE_URL}/${splatUrl}`;
-                    return {
-                        name: entry.name,
-                        ply: resolvedSplat,
-                        temporal: entry.temporal
-                            ? (entry.temporal.startsWith('http') ? entry.temporal : `${R2_BASE_URL}/${entry.temporal}`)
-                            : resolvedSplat.replace(/\.(spz|ply)$/, '.4d.bin'),
-                    };
-                });
-            }
-        }
-    } catch (_) { /* no R2 manifest, fall through */ }
+// Decoded scenes (LRU) with background prefetch of carousel neighbours
+let sceneCache;
 
-    // 2. Try local manifest
-    try {
-        const resp = await fetch('scenes.json');
-        if (resp.ok) {
-            const contentType = resp.headers.get('content-type') || '';
-            if (contentType.includes('application/json')) {
-                return await resp.json();
-            }
-        }
-    } catch (_) { /* no local manifest, probe R2 instead */ }
+// Scene switches fade through this; keepCameraPose (HUD toggle, or
+// ?camera=start to default to each scene's start pose) decides whether the
+// camera moves to the new scene's manifest `camera` pose
+const crossFade = new CrossFade();
+let keepCameraPose = true;
 
-    // 3. Probe R2 data folders: data, data2, data3, ... until first miss
-    const found = [];
-    const isSpz = async (url) => {
-        try {
-            const resp = await fetch(url, { headers: { Range: 'bytes=0-1' } });
-            if (!resp.ok && resp.status !== 206) return false;
-            const buf = await resp.arrayBuffer();
-            const bytes = new Uint8Array(buf);
-            // SPZ files are gzip-compressed: magic bytes 0x1f 0x8b
-            return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
-        } catch (_) { return false; }
-    };
+// ?debug shows live GPU texture/geometry counts in the HUD (leak checking)
+let showMemoryStats = false;
 
-    for (let i = 1; ; i++) {
-        const folder = i === 1 ? 'data' : `data${i}`;
-        if (!await isSpz(`${R2_BASE_URL}/${folder}/scene.spz`)) break;
-        found.push({
-            name: folder,
-            ply: `${R2_BASE_URL}/${folder}/scene.spz`,
-            temporal: `${R2_BASE_URL}/${folder}/scene.4d.bin`,
-        });
-    }
+// Deep links (see deep-link.js): the scene being shown, a link's view state
+// waiting for its scene to load, and when the address bar was last updated
+let currentEntry = null;
+let pendingView = null;
+let sceneSwitching = false;
+let lastLinkWrite = 0;
+const LINK_WRITE_INTERVAL = 1.0; // seconds
 
-    return found;
-}
+// Fly-through for the current scene (its manifest cameraPath, or keyframes
+// recorded from the HUD) and its playback, which drives camera and time
+let cameraPath = new CameraPath();
+const pathPlayer = new CameraPathPlayer();
+
+// Offline export (see frame-export.js); aborts the running export
+let exportAbort = null;
+let screenshotBusy = false;
+
+// Result of the last VR "save placement", shown on the panel
+let placementStatus = '';
+const DEFAULT_EXPORT_DURATION = 5; // seconds, for static scenes without a path
 
 async function init() {
     ui = new UI();
@@ -88,9 +76,10 @@ async function init() {
     document.body.appendChild(renderer.domElement);
 
     // Enable XR and show VR button (gracefully skip if unsupported)
+    let vrButton = null;
     try {
         renderer.xr.enabled = true;
-        const vrButton = VRButton.createButton(renderer);
+        vrButton = VRButton.createButton(renderer);
         if (vrButton) {
             document.getElementById('vr-container').appendChild(vrButton);
         }
@@ -100,7 +89,7 @@ async function init() {
 
     scene = new THREE.Scene();
 
-    // Camera lives in scene for desktop orbit controls
+    // Camera lives in scene for desktop FPV/orbit controls
     camera = new THREE.PerspectiveCamera(
         70,
         window.innerWidth / window.innerHeight,
@@ -115,8 +104,57 @@ async function init() {
     cameraRig.position.set(0, 0, 3);
     scene.add(cameraRig);
 
-    // FPV controls for desktop + mobile (WASD, mouse look, gamepad, virtual joysticks)
-    controls = new FPVControls(camera, renderer.domElement);
+    // FPV controls for desktop + mobile (WASD, mouse look, gamepad, virtual
+    // joysticks), and orbit/turntable controls to switch to
+    fpvControls = new FPVControls(camera, renderer.domElement);
+    orbitControls = new OrbitViewControls(camera, renderer.domElement);
+    controls = fpvControls;
+
+    // VR controller input (uses cameraRig for locomotion); each scene
+    // attaches its TemporalController once loaded
+    vrControls = new VRControls(renderer, camera, null, cameraRig);
+    vrControls.settings = loadVRSettings();
+
+    // In-VR panel mirroring the HUD; its buttons go through the same UI
+    // callbacks as the desktop controls
+    if (renderer.xr.enabled) {
+        vrPanel = new VRPanel(renderer, camera, cameraRig);
+        vrPanel.onPlayPause = () => ui.onPlayPause?.();
+        vrPanel.onTimeChange = (t) => ui.onTimeChange?.(t);
+        vrPanel.onSpeedChange = (speed) => {
+            ui.updateSpeed(speed);
+            ui.onSpeedChange?.(speed);
+        };
+        vrPanel.onSceneStep = (delta) => ui.stepScene(delta);
+        vrPanel.onSettingsChange = (settings) => {
+            vrControls.settings = normalizeVRSettings(settings);
+            saveVRSettings(vrControls.settings);
+        };
+        vrControls.captureTrigger = () => vrPanel.capturesTrigger || arSession.placing;
+        vrControls.onMenu = () => vrPanel.toggle();
+        vrPanel.onPlacementReset = resetPlacement;
+        vrPanel.onPlacementSave = savePlacement;
+        vrPanel.getPlacement = () => (splatMesh
+            ? { ...sceneTransformOf(splatMesh, currentEntry?.transform?.up), status: placementStatus }
+            : null);
+
+        // Passthrough AR where supported: the capture as a tabletop miniature,
+        // played with the same panel, controller and hand controls (and the
+        // HUD, on phones)
+        arSession = new ARSession(renderer, cameraRig);
+        // Spark's VR button sets 'local' when it is created
+        if (vrButton) arSession.referenceSpaceType = 'local';
+        arSession.getSceneBounds = getSceneBounds;
+        arSession.captureSelect = () => vrPanel.capturesTrigger;
+        arSession.onSessionChange = (active) => {
+            vrControls.locomotionEnabled = !active;
+            ui.setARActive(active);
+        };
+        vrPanel.onPlacementSurface = () => arSession.replace();
+        ui.onARPlace = () => arSession.replace();
+        ui.onToggleAR = toggleAR;
+        ARSession.isSupported().then(supported => ui.setARAvailable(supported));
+    }
 
     // Re-parent camera between scene (desktop) and rig (VR)
     if (renderer.xr.enabled) {
@@ -136,101 +174,675 @@ async function init() {
     sparkRenderer = new SparkRenderer({ renderer });
     scene.add(sparkRenderer);
 
-    // Discover available scenes
-    scenes = await discoverScenes();
-
-    // URL params can override scene selection
     const params = new URLSearchParams(window.location.search);
+    showMemoryStats = params.has('debug');
+    // ?debug also exposes the VR controls for the console (hand recordings)
+    if (showMemoryStats) window.vrControls = vrControls;
+    keepCameraPose = params.get('camera') !== 'start';
+    ui.setKeepPose(keepCameraPose);
+    ui.onKeepPoseChange = (keepPose) => { keepCameraPose = keepPose; };
+
+    // ?texLayout=separate|packed and ?texPrecision=float32|half select the
+    // temporal texture layout (see packTemporalTextures); ?cacheMB sets the
+    // decoded-scene budget and ?persist keeps downloads for offline use
+    const persist = params.has('persist');
+    sceneCache = new SceneCache({
+        budgetBytes: params.has('cacheMB') ? Number(params.get('cacheMB')) * 1024 * 1024 : undefined,
+        persist,
+        textureOptions: {
+            layout: params.get('texLayout') ?? undefined,
+            precision: params.get('texPrecision') ?? undefined,
+        },
+    });
+
+    // URL params can override scene selection; otherwise discover scenes from
+    // the configured manifests (see scene-sources.js)
     const splatParam = params.get('url') || params.get('ply');
     if (splatParam) {
-        scenes = [{ name: 'custom', ply: splatParam, temporal: params.get('temporal') || splatParam.replace(/\.(spz|ply)$/, '.4d.bin') }];
+        scenes = [normalizeSceneEntry({
+            name: 'custom',
+            ply: splatParam,
+            temporal: params.get('temporal') || undefined,
+        })];
+    } else {
+        const fetchManifest = persist ? (url) => cachedFetch(url, { networkFirst: true }) : fetch;
+        const { config, reports: configReports } = await loadSourceConfig(params, fetchManifest);
+        const discovery = await discoverScenes(config, fetchManifest);
+        scenes = discovery.scenes;
+
+        // Without merging, a missing manifest before the one that was used is
+        // the normal fallback path, not worth flagging
+        const reports = [...configReports, ...discovery.reports].filter(r =>
+            r.skipped || (r.error && (config.merge || scenes.length === 0 || configReports.includes(r))));
+        ui.setSourceReports(reports);
+
+        if (scenes.length === 0 && config.probe.enabled && config.probe.baseUrl) {
+            // Last resort, e.g. offline with a persisted copy of the first scene
+            scenes = [normalizeSceneEntry({ name: 'data', ply: 'data/scene.spz' }, config.probe.baseUrl)];
+        }
+        if (scenes.length === 0) {
+            const details = reports.map(r => `• ${r.source}: ${r.error ?? 'no scenes'}`).join('\n');
+            ui.showError(`No scenes found.\n\n${details}`, []);
+            return;
+        }
     }
 
-    if (scenes.length === 0) {
-        scenes = [{ name: 'data', ply: `${R2_BASE_URL}/data/scene.spz`, temporal: `${R2_BASE_URL}/data/scene.4d.bin` }];
+    // A deep link picks the first scene and the view within it
+    const view = readViewState(params);
+    let firstIndex = findSceneIndex(scenes, view.scene);
+    if (view.scene !== undefined && firstIndex < 0) {
+        console.warn(`Linked scene "${view.scene}" is not in the carousel`);
     }
+    firstIndex = Math.max(0, firstIndex);
+    pendingView = view;
 
-    // Set up carousel
-    ui.setScenes(scenes);
+    // Set up carousel; switching pushes a history entry so back/forward
+    // move through the scenes visited
+    ui.setScenes(scenes, firstIndex);
     ui.onSceneChange = async (index) => {
-        await switchScene(scenes[index]);
+        writeLink({ push: true, entry: scenes[index] });
+        await switchScene(scenes[index], { pushed: true });
+    };
+    ui.onCopyLink = copyLink;
+    setupCameraPathUI();
+    ui.onExport = (settings) => runExport(settings);
+    ui.onExportCancel = () => exportAbort?.abort();
+    ui.onScreenshot = (settings) => takeScreenshot(settings);
+    ui.onCameraModeChange = setCameraMode;
+    ui.onTurntableChange = (on) => { orbitControls.autoRotate = on; };
+    ui.onFocus = () => {
+        const center = getSceneCenter();
+        if (controls === orbitControls && center) orbitControls.focusOn(center);
     };
+    window.addEventListener('popstate', () => {
+        // While a scene loads, switchScene() catches up once it is done
+        if (!sceneSwitching && currentEntry) restoreFromLocation();
+    });
 
     // Load first scene
     try {
-        await loadScene(scenes[0].ply, scenes[0].temporal);
+        await loadScene(scenes[firstIndex]);
     } catch (e) {
         console.error('Failed to load scene:', e);
         ui.hideLoading();
     }
 
+    // ?controls=orbit starts in orbit mode, around the first scene
+    if (params.get('controls') === 'orbit') setCameraMode('orbit');
+
     // Resize handler
     window.addEventListener('resize', onResize);
 
     // Start render loop
     renderer.setAnimationLoop(render);
+
+    // ?export=png|webm renders and downloads the first scene unattended
+    const exportParams = readExportParams(params);
+    if (exportParams && currentEntry) {
+        await runExport({ ...ui.getExportSettings(), ...exportParams });
+    }
 }
 
-async function switchScene(sceneEntry) {
+/**
+ * Replace the current scene with another. If the user cancels (declines a
+ * mismatched sidecar), the current scene stays and the carousel and address
+ * bar go back to it.
+ *
+ * @param {object} sceneEntry
+ * @param {object} [options]
+ * @param {boolean} [options.pushed=false] - a history entry was pushed for this switch
+ */
+async function switchScene(sceneEntry, { pushed = false } = {}) {
+    sceneSwitching = true;
+    pathPlayer.stop();
+    updatePathUI();
     ui.setSceneSwitching(true);
-    ui.showLoading('Switching scene...');
-
-    // Remove current splat mesh
-    if (splatMesh) {
-        sparkRenderer.remove(splatMesh);
-        splatMesh.dispose();
-        splatMesh = null;
+    // Cached scenes swap in without the loading overlay
+    if (!sceneCache.has(sceneEntry)) {
+        ui.showLoading('Switching scene...');
     }
-    temporalCtrl = null;
+    // Keep the current scene rendering behind the status until the next one
+    // is ready to replace it (loadScene swaps the meshes)
+    ui.setPreviewing(Boolean(splatMesh));
 
+    let cancelled = false;
     try {
-        await loadScene(sceneEntry.ply, sceneEntry.temporal);
+        await loadScene(sceneEntry);
     } catch (e) {
-        console.error('Failed to switch scene:', e);
-        ui.showLoading(`Error: ${e.message}`);
+        cancelled = e.name === 'AbortError';
+        if (cancelled) {
+            console.warn(e.message);
+            // The preview hid the current scene
+            splatMesh.visible = true;
+            ui.hideLoading();
+            ui.selectScene(scenes.indexOf(currentEntry));
+        } else {
+            console.error('Failed to switch scene:', e);
+            retireScene();
+            ui.setPreviewing(false);
+            ui.showLoading(`Error: ${e.message}`);
+        }
     }
 
     ui.setSceneSwitching(false);
+    sceneSwitching = false;
+
+    if (cancelled) {
+        if (pushed) {
+            history.back();
+        } else {
+            writeLink();
+        }
+        return;
+    }
+
+    // Back/forward pressed while this scene was loading
+    const linked = findSceneIndex(scenes, readViewState(new URLSearchParams(window.location.search)).scene);
+    if (currentEntry && linked >= 0 && scenes[linked] !== currentEntry) {
+        restoreFromLocation();
+    }
 }
 
-async function loadScene(plyFile, temporalFile) {
-    // Step 1: Load temporal data first (needed to build Dyno modifier before SplatMesh)
-    let temporalData = null;
-    let textures = null;
-    let dynoResult = null;  // { modifier, handle }
+/**
+ * Show the view described by the address bar (after back/forward): switch
+ * scenes if needed, then apply its camera and playback state.
+ */
+function restoreFromLocation() {
+    const view = readViewState(new URLSearchParams(window.location.search));
+    const index = Math.max(0, findSceneIndex(scenes, view.scene));
+    if (scenes[index] === currentEntry) {
+        applyPlaybackView(view);
+        if (view.camera) applyCameraPose(view.camera);
+        return;
+    }
+    pendingView = view;
+    ui.selectScene(index);
+    switchScene(scenes[index]);
+}
+
+/** Current view as link state (see deep-link.js). */
+function currentViewState(entry = currentEntry) {
+    const view = { scene: sceneLinkKey(scenes, entry) };
+    if (entry !== currentEntry) return view;
 
-    ui.showLoading('Loading temporal data...');
+    // The headset owns the camera in VR, so links only carry desktop poses
+    if (!renderer.xr.isPresenting) {
+        const pose = controls.getPose();
+        view.camera = {
+            position: pose.position.toArray(),
+            yaw: THREE.MathUtils.radToDeg(pose.yaw),
+            pitch: THREE.MathUtils.radToDeg(pose.pitch),
+        };
+    }
+    if (temporalCtrl) {
+        view.time = temporalCtrl.normalizedTime;
+        view.speed = temporalCtrl.speed;
+        view.playing = temporalCtrl.isPlaying;
+    }
+    return view;
+}
+
+function viewUrl(view) {
+    const query = writeViewState(new URLSearchParams(window.location.search), view);
+    return `${window.location.pathname}?${query}${window.location.hash}`;
+}
+
+/**
+ * Write the view state to the address bar.
+ * @param {object} [options]
+ * @param {boolean} [options.push=false] - add a history entry (scene switches);
+ *   the current entry is brought up to date first so back restores it exactly
+ * @param {object} [options.entry] - scene the new entry is for
+ */
+function writeLink({ push = false, entry = currentEntry } = {}) {
+    if (!currentEntry) return;
+    const current = viewUrl(currentViewState());
+    if (push) {
+        history.replaceState(null, '', current);
+        history.pushState(null, '', viewUrl(currentViewState(entry)));
+    } else if (current !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(null, '', current);
+    }
+}
+
+async function copyLink() {
+    writeLink();
+    const url = window.location.href;
     try {
-        temporalData = await loadTemporalData(temporalFile, (received, total) => {
-            if (total > 0) {
-                const pct = Math.round(received / total * 100);
-                ui.showLoading(`Loading temporal data... ${pct}%`);
+        await navigator.clipboard.writeText(url);
+        ui.showLinkCopied(true);
+    } catch (e) {
+        // Clipboard access needs a secure context and focus; show the link instead
+        console.warn('Could not copy link:', e.message);
+        ui.showLinkCopied(false);
+        window.prompt('Copy this link:', url);
+    }
+}
+
+/** Apply a link's time, speed and play state to the current controller. */
+function applyPlaybackView(view) {
+    if (!temporalCtrl) return;
+    if (view.time !== undefined) temporalCtrl.setNormalizedTime(view.time);
+    if (view.speed !== undefined) {
+        temporalCtrl.speed = view.speed;
+        ui.updateSpeed(view.speed);
+    }
+    if (view.playing === true) temporalCtrl.play();
+    if (view.playing === false) temporalCtrl.pause();
+}
+
+/**
+ * Current viewer pose in manifest terms (metres, degrees), taken from the
+ * camera's world transform so it also works with the headset in VR.
+ */
+function currentCameraPose() {
+    camera.updateMatrixWorld();
+    const position = camera.getWorldPosition(new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(camera.getWorldQuaternion(new THREE.Quaternion()), 'YXZ');
+    return {
+        position: position.toArray(),
+        yaw: THREE.MathUtils.radToDeg(euler.y),
+        pitch: THREE.MathUtils.radToDeg(euler.x),
+    };
+}
+
+function updatePathUI() {
+    ui.updatePath(cameraPath.keyframes.length, cameraPath.duration, pathPlayer.playing);
+}
+
+/** Wire the HUD's camera path row to the current path. */
+function setupCameraPathUI() {
+    ui.onPathAddKey = () => {
+        if (pathPlayer.playing || exportAbort) return;
+        const pose = currentCameraPose();
+        if (temporalCtrl) pose.time = temporalCtrl.normalizedTime;
+        cameraPath.appendKeyframe(pose);
+        updatePathUI();
+    };
+    ui.onPathUndo = () => {
+        cameraPath.removeLastKeyframe();
+        updatePathUI();
+    };
+    ui.onPathClear = () => {
+        cameraPath.clear();
+        updatePathUI();
+    };
+    ui.onPathPlay = () => {
+        if (exportAbort) return;
+        if (pathPlayer.playing) {
+            pathPlayer.stop();
+        } else if (cameraPath.keyframes.length >= 2) {
+            // The path owns scene time while it plays
+            if (temporalCtrl) temporalCtrl.pause();
+            pathPlayer.play(cameraPath);
+        }
+        updatePathUI();
+    };
+    ui.onPathSave = () => {
+        const blob = new Blob([`${JSON.stringify(cameraPath, null, 2)}\n`], { type: 'application/json' });
+        downloadBlob(blob, 'camera-path.json');
+    };
+    ui.onPathLoad = async (file) => {
+        try {
+            const path = CameraPath.fromJSON(JSON.parse(await file.text()));
+            if (currentEntry && path.scene !== undefined && path.scene !== currentEntry.name) {
+                console.warn(`Camera path was made for scene "${path.scene}", not "${currentEntry.name}"`);
             }
+            pathPlayer.stop();
+            cameraPath = path;
+        } catch (e) {
+            console.error('Failed to load camera path:', e);
+            await ui.showError(`Could not load ${file.name}:\n\n${e.message}`, [{ id: 'ok', label: 'OK' }]);
+            ui.hideLoading();
+        }
+        updatePathUI();
+    };
+    updatePathUI();
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Revoke later: some browsers read the URL after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Render the current scene offline at a fixed time step and download it.
+ *
+ * With a camera path of two or more keys, the export follows the path for
+ * its duration; otherwise it plays one pass of the loop range from the in
+ * point (or DEFAULT_EXPORT_DURATION seconds of a static scene) from the
+ * current view. The live render loop is paused meanwhile, and camera and
+ * playback state are restored afterwards. Progress is mirrored in
+ * document.documentElement.dataset.export ('running', 'done', 'failed',
+ * 'cancelled') for headless runs to wait on.
+ *
+ * @param {object} settings - see normalizeExportSettings(); duration is optional
+ */
+async function runExport(settings) {
+    if (exportAbort || !currentEntry) return;
+    if (renderer.xr.isPresenting) {
+        ui.setExportStatus(`Exit ${arSession?.active ? 'AR' : 'VR'} to export`, true);
+        return;
+    }
+    const entry = currentEntry;
+    const usePath = cameraPath.keyframes.length >= 2;
+    const passDuration = temporalCtrl?.passDuration ?? Infinity;
+    const duration = settings.duration ??
+        (usePath ? cameraPath.duration : Number.isFinite(passDuration) ? passDuration : DEFAULT_EXPORT_DURATION);
+
+    const abort = new AbortController();
+    exportAbort = abort;
+    renderer.setAnimationLoop(null);
+    crossFade.finish();
+
+    const savedPose = controls.getPose();
+    const savedTarget = orbitControls.target.clone();
+    const savedPlayback = temporalCtrl && {
+        time: temporalCtrl.normalizedTime,
+        playing: temporalCtrl.isPlaying,
+        direction: temporalCtrl.direction,
+    };
+    if (usePath) {
+        if (temporalCtrl) temporalCtrl.pause();
+        pathPlayer.play(cameraPath);
+    } else if (temporalCtrl) {
+        temporalCtrl.setNormalizedTime(temporalCtrl.inPoint);
+        temporalCtrl.direction = 1;
+        temporalCtrl.play();
+    }
+    const step = (dt) => {
+        const pose = pathPlayer.update(dt);
+        if (pose) {
+            applyCameraPose(pose);
+            if (temporalCtrl && pose.time !== undefined) temporalCtrl.setNormalizedTime(pose.time);
+        }
+        if (temporalCtrl) temporalCtrl.update(dt);
+        // Without a path, a turntable orbit records as it plays live
+        if (!usePath && controls === orbitControls && orbitControls.autoRotate) orbitControls.update(dt);
+    };
+
+    ui.setExporting(true);
+    ui.setExportStatus('Starting...');
+    document.documentElement.dataset.export = 'running';
+    try {
+        const { blob, extension } = await exportFrames({
+            sparkRenderer, scene, camera,
+            settings: { ...settings, duration },
+            step,
+            name: entry.name,
+            signal: abort.signal,
+            onProgress: (done, total) => ui.setExportStatus(`${done}/${total}`),
+        });
+        downloadBlob(blob, `${entry.name}.${extension}`);
+        ui.setExportStatus(`${(blob.size / 1048576).toFixed(1)} MB`);
+        document.documentElement.dataset.export = 'done';
+    } catch (e) {
+        const cancelled = e.name === 'AbortError';
+        if (!cancelled) console.error('Export failed:', e);
+        ui.setExportStatus(cancelled ? 'Cancelled' : e.message, !cancelled);
+        document.documentElement.dataset.export = cancelled ? 'cancelled' : 'failed';
+    } finally {
+        pathPlayer.stop();
+        controls.setPose(savedPose.position, savedPose.yaw, savedPose.pitch);
+        orbitControls.target.copy(savedTarget);
+        if (savedPlayback && temporalCtrl) {
+            temporalCtrl.setNormalizedTime(savedPlayback.time);
+            temporalCtrl.direction = savedPlayback.direction;
+            temporalCtrl.isPlaying = savedPlayback.playing;
+        }
+        ui.setExporting(false);
+        updatePathUI();
+        exportAbort = null;
+        clock.getDelta();   // don't count the export as one long frame
+        renderer.setAnimationLoop(render);
+    }
+}
+
+/**
+ * Save the current view as a PNG at the export row's size (2x supersampled
+ * where the target allows), plus a JSON sidecar with the camera pose, scene
+ * time and a deep link to the view.
+ * @param {{width: number, height: number, transparent: boolean}} settings
+ */
+async function takeScreenshot({ width, height, transparent }) {
+    if (exportAbort || !currentEntry || screenshotBusy) return;
+    if (renderer.xr.isPresenting) {
+        ui.setExportStatus(`Exit ${arSession?.active ? 'AR' : 'VR'} to take screenshots`, true);
+        return;
+    }
+    screenshotBusy = true;
+    const entry = currentEntry;
+    const time = temporalCtrl ? temporalCtrl.normalizedTime : null;
+    const baseName = screenshotBaseName(entry.name, time);
+    const metadata = {
+        scene: entry.name,
+        title: entry.title,
+        image: `${baseName}.png`,
+        width,
+        height,
+        transparent,
+        camera: { ...currentCameraPose(), fov: camera.fov },
+        time: temporalCtrl ? { normalized: time, ...temporalCtrl.timecode } : null,
+        link: window.location.origin + viewUrl(currentViewState()),
+        capturedAt: new Date().toISOString(),
+    };
+
+    // Hold the live view still so the image matches the metadata
+    renderer.setAnimationLoop(null);
+    ui.setExportStatus('Capturing...');
+    try {
+        const png = await captureScreenshot({
+            sparkRenderer, scene, camera, width, height, transparent, superSample: 2,
         });
+        downloadBlob(png, `${baseName}.png`);
+        downloadBlob(new Blob([`${JSON.stringify(metadata, null, 2)}\n`], { type: 'application/json' }), `${baseName}.json`);
+        ui.setExportStatus(`Saved ${baseName}.png`);
     } catch (e) {
-        console.warn('No temporal data found, running in static mode:', e.message);
+        console.error('Screenshot failed:', e);
+        ui.setExportStatus(e.message, true);
+    } finally {
+        screenshotBusy = false;
+        clock.getDelta();
+        renderer.setAnimationLoop(render);
     }
+}
+
+/**
+ * Make a scene's manifest cameraPath (inline or a URL) the current path, or
+ * start an empty one named after the scene.
+ * @param {object} sceneEntry
+ */
+async function loadCameraPath(sceneEntry) {
+    pathPlayer.stop();
+    cameraPath = new CameraPath([], sceneEntry.name);
+    updatePathUI();
+    if (!sceneEntry.cameraPath) return;
+
+    let path;
+    try {
+        let json = sceneEntry.cameraPath;
+        if (typeof json === 'string') {
+            const resp = await fetch(json);
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            json = await resp.json();
+        }
+        path = CameraPath.fromJSON(json);
+    } catch (e) {
+        console.warn(`Could not load camera path for ${sceneEntry.name}:`, e.message);
+        return;
+    }
+    // Keep what the user recorded if the scene changed or keys were added meanwhile
+    if (currentEntry !== sceneEntry || cameraPath.keyframes.length > 0) return;
+    path.scene ??= sceneEntry.name;
+    cameraPath = path;
+    updatePathUI();
+}
+
+/** Dispose every resource of the current scene. */
+function retireScene() {
+    if (currentScene) {
+        currentScene.dispose();
+        currentScene = null;
+    }
+    currentEntry = null;
+    splatMesh = null;
+    temporalCtrl = null;
+    vrControls.temporalCtrl = null;
+    vrControls.splatMesh = null;
+}
+
+/**
+ * Load a scene and make it current. Everything created along the way is
+ * owned by a SceneLifecycle, so a failed load releases what it allocated.
+ *
+ * @param {object} sceneEntry - normalized manifest entry (see manifest.js)
+ */
+async function loadScene(sceneEntry) {
+    const lifecycle = new SceneLifecycle(sceneEntry.name);
+    try {
+        await buildScene(sceneEntry, lifecycle);
+    } catch (e) {
+        if (currentScene === lifecycle) {
+            retireScene();
+        } else {
+            lifecycle.dispose();
+        }
+        pendingView = null;
+        throw e;
+    }
+    prefetchNeighbours(sceneEntry);
+}
+
+/** Queue the carousel entries on either side of a scene for background loading. */
+function prefetchNeighbours(sceneEntry) {
+    const index = scenes.indexOf(sceneEntry);
+    if (index < 0 || scenes.length < 2) return;
+    const next = scenes[(index + 1) % scenes.length];
+    const prev = scenes[(index - 1 + scenes.length) % scenes.length];
+    sceneCache.prefetch(next === prev ? [next] : [next, prev]);
+}
+
+async function buildScene(sceneEntry, lifecycle) {
+    const { ply: plyFile, temporal: temporalFile } = sceneEntry;
+
+    // Step 1: Get the decoded splats and prepared sidecar, from the scene
+    // cache when this scene was viewed or prefetched before. Fresh downloads
+    // drive one progress bar from both files and preview the splats as they arrive
+    const cached = sceneCache.has(sceneEntry);
+    const status = (message) => { if (!cached) ui.showLoading(message); };
+    let textures = null;
+    let dynoResult = null;  // { modifier, handle }
 
-    // Step 2: Build Dyno modifier (must happen BEFORE SplatMesh creation
+    status('Loading scene...');
+    ui.setProgress(0);
+    const preview = lifecycle.track(new SplatPreview(sparkRenderer));
+    const assets = await sceneCache.load(sceneEntry, {
+        onProgress: (fraction) => {
+            ui.setProgress(fraction);
+            status(`Loading scene... ${Math.round(fraction * 100)}%`);
+        },
+        onSplatData: (bytes, total) => {
+            preview.update(bytes, total);
+            if (preview.mesh) {
+                applySceneTransform(preview.mesh, sceneEntry.transform);
+                ui.setPreviewing(true);
+                // The preview replaces the previous scene rather than overlapping it
+                if (splatMesh) splatMesh.visible = false;
+            }
+        },
+    });
+
+    const { temporal } = assets;
+    let temporalData = temporal.data ?? null;
+    const temporalError = temporal.error ?? null;
+    if (temporal.missing) {
+        // No sidecar on the server: a static scene, not an error
+        console.warn('No temporal data found, running in static mode:', temporal.message);
+    }
+
+    // Step 2: Validate the sidecar against the decoded splats before any
+    // modifier is compiled into a SplatMesh
+    const packedSplats = lifecycle.track(createPackedSplats(assets.splats));
+
+    const splatCount = packedSplats.numSplats;
+
+    // Refuse mismatched or corrupt pairs unless the user opts into a static view
+    if (temporalData || temporalError) {
+        const problems = temporalError
+            ? [`Could not parse ${temporalFile}: ${temporalError.message}`]
+            : [...checkSplatCount(temporalData, splatCount, { splatUrl: plyFile, temporalUrl: temporalFile }),
+               ...temporal.problems];
+        if (problems.length > 0) {
+            console.error('Temporal data rejected:', problems);
+            const heading = temporalError
+                ? 'Could not read the temporal data'
+                : 'Temporal data does not match the splat file';
+            // Cancel goes back to the current scene, so there is none without one
+            const actions = [{ id: 'static', label: 'Load static anyway' }];
+            if (currentEntry) actions.push({ id: 'cancel', label: 'Cancel' });
+            const choice = await ui.showError(
+                `${heading}:\n\n${problems.map(p => `• ${p}`).join('\n')}`, actions);
+            if (choice !== 'static') {
+                // A cancellation, not a failure: switchScene() keeps the current scene
+                throw new DOMException(`Temporal data rejected for ${sceneEntry.name}`, 'AbortError');
+            }
+            temporalData = null;
+        }
+    }
+    ui.setSplatCount(splatCount);
+    ui.setTextureBytes(null);
+
+    // Step 3: Build Dyno modifier (must happen BEFORE SplatMesh creation
     // so the modifier is compiled into the shader from the start)
     if (temporalData) {
-        ui.showLoading('Setting up 4D animation...');
-        textures = createTemporalTextures(temporalData);
+        status('Setting up 4D animation...');
+        textures = createTemporalTextures(temporalData, temporal.packed);
+        textures.textures.forEach(tex => lifecycle.track(tex));
+        ui.setTextureBytes(textures.byteSize);
         try {
             dynoResult = buildDynoModifier(textures, temporalData);
+            lifecycle.track(dynoResult.handle);
         } catch (e) {
             console.warn('Dyno modifier creation failed, will use CPU fallback:', e.message);
         }
     }
 
-    // Step 3: Create SplatMesh with objectModifier passed in constructor
-    ui.showLoading('Loading Gaussian splats...');
-    const splatOpts = { url: plyFile };
+    // Step 4: Create SplatMesh with objectModifier passed in constructor
+    const splatOpts = { packedSplats };
     if (dynoResult) {
         splatOpts.objectModifier = dynoResult.modifier;
     }
-    splatMesh = new SplatMesh(splatOpts);
-    sparkRenderer.add(splatMesh);
+    // The previous scene kept rendering while this one downloaded; it now
+    // hands over and is disposed when the cross-fade completes. Until then
+    // this scene owns it, so a failure below releases both.
+    const previous = currentScene;
+    if (previous) lifecycle.onDispose(() => previous.dispose());
+    currentScene = lifecycle;
+    currentEntry = sceneEntry;
+    placementStatus = '';
+    temporalCtrl = null;
+    vrControls.temporalCtrl = null;
+    vrControls.splatMesh = null;
+
+    const mesh = new SplatMesh(splatOpts);
+    applySceneTransform(mesh, sceneEntry.transform);
+    sparkRenderer.add(mesh);
+    lifecycle.onDispose(() => {
+        sparkRenderer.remove(mesh);
+        mesh.dispose();
+    });
+    splatMesh = mesh;
+
+    // Fades go through the modifier's scene opacity uniform; static and
+    // CPU-animated scenes use the mesh's own opacity
+    lifecycle.setOpacity = dynoResult
+        ? (opacity) => dynoResult.handle.setOpacity(opacity)
+        : (opacity) => { mesh.opacity = opacity; };
+    lifecycle.setOpacity(0);
 
     try {
         await splatMesh.initialized;
@@ -238,36 +850,32 @@ async function loadScene(plyFile, temporalFile) {
         console.warn('SplatMesh initialization error:', e.message);
     }
 
-    const splatCount = splatMesh.packedSplats?.numSplats ?? 0;
-    ui.setSplatCount(splatCount);
-
-    // Validate splat counts match between SPZ and temporal data
-    if (temporalData && splatCount > 0 && temporalData.splatCount !== splatCount) {
-        console.warn(`Splat count mismatch! SPZ: ${splatCount}, temporal: ${temporalData.splatCount}`);
-    }
-
-    // Step 4: Bind the Dyno handle to the mesh so uniform updates invalidate
+    // Step 5: Bind the Dyno handle to the mesh so uniform updates invalidate
     // SparkJS's generation cache (triggers re-run of modifier each frame)
     if (dynoResult) {
         dynoResult.handle.bindMesh(splatMesh);
     }
 
-    // Step 5: Set up temporal controller
+    // Step 6: Set up temporal controller
     if (temporalData) {
         let timeHandle = dynoResult ? dynoResult.handle : null;
 
         // CPU fallback if Dyno modifier failed
         if (!timeHandle) {
             try {
-                timeHandle = createCPUFallback(splatMesh, temporalData);
+                // It rewrites the packed array in place, which is the cached one
+                packedSplats.packedArray = packedSplats.packedArray.slice();
+                packedSplats.needsUpdate = true;
+                timeHandle = lifecycle.track(createCPUFallback(splatMesh, temporalData));
             } catch (e) {
                 console.warn('CPU fallback also failed:', e.message);
             }
         }
 
         if (timeHandle) {
-            temporalCtrl = new TemporalController(temporalData, timeHandle);
-            temporalCtrl.setNormalizedTime(0.5);
+            temporalCtrl = new TemporalController(temporalData, timeHandle, sceneEntry.playback);
+            ui.setLoopRange(temporalCtrl.inPoint, temporalCtrl.outPoint);
+            ui.updateSpeed(temporalCtrl.speed);
 
             ui.onTimeChange = (t) => {
                 temporalCtrl.setNormalizedTime(t);
@@ -275,20 +883,245 @@ async function loadScene(plyFile, temporalFile) {
             };
             ui.onPlayPause = () => temporalCtrl.togglePlayPause();
             ui.onSpeedChange = (speed) => { temporalCtrl.speed = speed; };
+            ui.onSetIn = () => {
+                temporalCtrl.setInPoint(temporalCtrl.normalizedTime);
+                ui.setLoopRange(temporalCtrl.inPoint, temporalCtrl.outPoint);
+            };
+            ui.onSetOut = () => {
+                temporalCtrl.setOutPoint(temporalCtrl.normalizedTime);
+                ui.setLoopRange(temporalCtrl.inPoint, temporalCtrl.outPoint);
+            };
+            ui.onClearRange = () => {
+                temporalCtrl.clearInOut();
+                ui.setLoopRange(temporalCtrl.inPoint, temporalCtrl.outPoint);
+            };
         }
     }
 
-    // VR controls (uses cameraRig for locomotion)
-    vrControls = new VRControls(renderer, camera, temporalCtrl, cameraRig);
+    vrControls.temporalCtrl = temporalCtrl;
+    vrControls.splatMesh = splatMesh;
 
+    // A deep link's view overrides the manifest defaults, once
+    const view = pendingView;
+    pendingView = null;
+    if (view) applyPlaybackView(view);
+
+    loadCameraPath(sceneEntry);
+
+    ui.setPreviewing(false);
     ui.hideLoading();
+    startSceneTransition(sceneEntry, lifecycle, previous, preview, view?.camera);
+}
+
+/**
+ * Fade from whatever is on screen (the previous scene or the loading
+ * preview) to a newly built scene, optionally moving the camera to the
+ * scene's start pose while the screen is dark.
+ *
+ * @param {object} [linkPose] - camera pose from a deep link; always applied
+ */
+function startSceneTransition(sceneEntry, lifecycle, previous, preview, linkPose) {
+    const pose = linkPose ?? sceneEntry.camera;
+    const moveCamera = Boolean(linkPose) || (Boolean(pose) && (!previous || !keepCameraPose));
+
+    let fadeOut = null;
+    if (preview.mesh) {
+        // The previous scene was hidden when the preview appeared
+        if (previous) previous.dispose();
+        const previewMesh = preview.mesh;
+        fadeOut = (opacity) => { previewMesh.opacity = opacity; };
+    } else if (previous) {
+        fadeOut = previous.setOpacity;
+    }
+
+    if (moveCamera && !fadeOut) {
+        applyCameraPose(pose);
+    }
+    crossFade.start({
+        fadeIn: lifecycle.setOpacity,
+        fadeOut,
+        sequential: moveCamera && Boolean(fadeOut),
+        onMidpoint: () => applyCameraPose(pose),
+        onComplete: () => {
+            preview.dispose();
+            if (previous) previous.dispose();
+        },
+    });
+}
+
+/** Rotation that turns a manifest up axis into +Y. */
+function upAxisQuaternion(up) {
+    const radians = UP_AXIS_ROTATIONS[up].map(THREE.MathUtils.degToRad);
+    return new THREE.Quaternion().setFromEuler(new THREE.Euler(...radians));
+}
+
+/**
+ * Place a scene's splats according to its manifest transform: the up-axis
+ * correction first, then rotation, scale and position. Without a transform
+ * the object is reset to identity.
+ * @param {THREE.Object3D} object
+ * @param {object} [transform] - normalized manifest transform
+ */
+function applySceneTransform(object, transform) {
+    if (!transform) {
+        object.position.set(0, 0, 0);
+        object.quaternion.identity();
+        object.scale.setScalar(1);
+        return;
+    }
+    const rotation = transform.rotation.map(THREE.MathUtils.degToRad);
+    object.quaternion.setFromEuler(new THREE.Euler(...rotation)).multiply(upAxisQuaternion(transform.up));
+    object.scale.setScalar(transform.scale);
+    object.position.fromArray(transform.position);
+}
+
+/**
+ * The manifest transform that reproduces an object's placement (the inverse
+ * of applySceneTransform), rounded for writing into a manifest.
+ * @param {THREE.Object3D} object - uniformly scaled
+ * @param {string} [up='+y'] - up axis to keep
+ * @returns {{up: string, position: number[], rotation: number[], scale: number}}
+ */
+function sceneTransformOf(object, up = '+y') {
+    const rotation = new THREE.Euler().setFromQuaternion(
+        object.quaternion.clone().multiply(upAxisQuaternion(up).invert()));
+    const round = (value, digits) => Number(value.toFixed(digits));
+    return {
+        up,
+        position: object.position.toArray().map(v => round(v, 4)),
+        rotation: [rotation.x, rotation.y, rotation.z].map(r => round(THREE.MathUtils.radToDeg(r), 2)),
+        scale: round(object.scale.x, 5),
+    };
+}
+
+/** Put the current splats back at their manifest placement (undo VR grabs). */
+function resetPlacement() {
+    if (!splatMesh || !currentEntry) return;
+    applySceneTransform(splatMesh, currentEntry.transform);
+    placementStatus = '';
+}
+
+/**
+ * Save the current splat placement as the scene's default transform. The
+ * dev server writes it into the scene folder's scene.json; anywhere else
+ * (or for scenes from other sources) the transform is downloaded as JSON to
+ * paste into the manifest entry.
+ */
+async function savePlacement() {
+    if (!splatMesh || !currentEntry) return;
+    const entry = currentEntry;
+    const transform = sceneTransformOf(splatMesh, entry.transform?.up);
+    placementStatus = 'Saving...';
+    try {
+        const response = await fetch('__scenes/placement', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scene: entry.name, transform }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        const { file } = await response.json();
+        placementStatus = `Saved to ${file}`;
+    } catch (e) {
+        console.warn('Could not save placement on the server:', e.message);
+        const filename = `${entry.name}-transform.json`;
+        downloadBlob(new Blob([`${JSON.stringify({ name: entry.name, transform }, null, 2)}\n`], { type: 'application/json' }), filename);
+        placementStatus = `Downloaded ${filename}`;
+    }
+    // Later resets return here
+    entry.transform = transform;
+}
+
+/**
+ * Switch desktop camera controls, handing over the current view so it
+ * doesn't jump. Entering orbit mode pivots around the scene's center.
+ * @param {'fpv'|'orbit'} mode
+ */
+function setCameraMode(mode) {
+    const next = mode === 'orbit' ? orbitControls : fpvControls;
+    if (next !== controls) {
+        const pose = controls.getPose();
+        controls.enabled = false;
+        controls = next;
+        if (controls === orbitControls) {
+            orbitControls.begin(getSceneCenter());
+        } else {
+            fpvControls.setPose(pose.position, pose.yaw, pose.pitch);
+        }
+        controls.enabled = !renderer.xr.isPresenting;
+    }
+    ui.setCameraMode(mode);
+}
+
+/**
+ * World-space center of the current splats' bounds (computed once per mesh).
+ * @returns {THREE.Vector3|null} null before a scene is loaded
+ */
+function getSceneCenter() {
+    if (!splatMesh?.isInitialized) return null;
+    if (sceneCenter?.mesh !== splatMesh) {
+        const bounds = splatMesh.getBoundingBox(true);
+        sceneCenter = { mesh: splatMesh, center: bounds.getCenter(new THREE.Vector3()) };
+    }
+    // The mesh may have been moved since (VR grab)
+    splatMesh.updateMatrixWorld();
+    return sceneCenter.center.clone().applyMatrix4(splatMesh.matrixWorld);
+}
+
+/**
+ * World-space bounds of the current splats.
+ * @returns {THREE.Box3|null} null before a scene is loaded
+ */
+function getSceneBounds() {
+    if (!splatMesh?.isInitialized) return null;
+    splatMesh.updateMatrixWorld();
+    return splatMesh.getBoundingBox(true).applyMatrix4(splatMesh.matrixWorld);
+}
+
+/** Enter passthrough AR, or leave it. */
+async function toggleAR() {
+    if (arSession.active) {
+        arSession.end();
+        return;
+    }
+    try {
+        await arSession.start({ overlay: document.getElementById('hud') });
+    } catch (e) {
+        console.warn('Could not start AR:', e.message);
+    }
+}
+
+/**
+ * Move the viewer to a manifest start pose.
+ * @param {{position: number[], yaw: number, pitch: number}} pose - normalized
+ *   manifest camera (metres and degrees)
+ */
+function applyCameraPose(pose) {
+    // In AR the rig holds the tabletop placement; the viewer walks around it
+    if (arSession?.active) return;
+    const position = new THREE.Vector3().fromArray(pose.position);
+    const yaw = THREE.MathUtils.degToRad(pose.yaw);
+    const pitch = THREE.MathUtils.degToRad(pose.pitch);
+
+    if (renderer.xr.isPresenting) {
+        // The headset owns the camera's local pose; move the rig so the
+        // viewer's standing position lands on the start position
+        vrControls.placeViewer(position, yaw);
+    } else {
+        controls.setPose(position, yaw, pitch);
+    }
 }
 
 function render(timestamp, frame) {
     const dt = clock.getDelta();
 
-    // Update FPV controls (disabled during VR)
-    if (!renderer.xr?.isPresenting) {
+    // A playing camera path drives the camera and scene time; otherwise
+    // update the FPV or orbit controls (disabled during VR)
+    const pathPose = pathPlayer.update(dt);
+    if (pathPose) {
+        applyCameraPose(pathPose);
+        if (temporalCtrl && pathPose.time !== undefined) temporalCtrl.setNormalizedTime(pathPose.time);
+        if (!pathPlayer.playing) updatePathUI();
+    } else if (!renderer.xr?.isPresenting) {
         controls.update(dt);
     }
 
@@ -296,15 +1129,44 @@ function render(timestamp, frame) {
     if (vrControls) {
         vrControls.update(timestamp, frame);
     }
+    if (arSession) {
+        arSession.update(frame);
+        // The splats would surround the viewer at full size until placed
+        sparkRenderer.visible = !arSession.placing;
+    }
+
+    // Scene cross-fades
+    crossFade.update(dt);
 
     // Update temporal animation
     if (temporalCtrl) {
         temporalCtrl.update(dt);
-        ui.updateTime(temporalCtrl.normalizedTime, temporalCtrl.isPlaying);
+        ui.updateTime(temporalCtrl.normalizedTime, temporalCtrl.isPlaying, temporalCtrl.timecode);
+        // The VR thumbstick changes speed behind the HUD's back
+        if (temporalCtrl.speed !== ui.speed) ui.updateSpeed(temporalCtrl.speed);
+    }
+
+    // Keep the address bar's deep link current
+    lastLinkWrite += dt;
+    if (lastLinkWrite >= LINK_WRITE_INTERVAL && !sceneSwitching) {
+        lastLinkWrite = 0;
+        writeLink();
     }
 
     // FPS tracking
     ui.updateFPS();
+    if (showMemoryStats) {
+        ui.updateMemoryStats(renderer.info.memory);
+    }
+
+    if (vrPanel && renderer.xr.isPresenting) {
+        vrPanel.update({
+            ...ui.getState(),
+            temporal: temporalCtrl !== null,
+            vrSettings: vrControls.settings,
+            ar: arSession.active,
+        });
+    }
 
     // Render
     renderer.render(scene, camera);
@@ -0,0 +1,224 @@
+/**
+ * Scene manifest (scenes.json) schema.
+ *
+ * A manifest is an array of scene entries. Only the splat file is required:
+ *
+ *   {
+ *     "name": "data",                       // id for logs and links (default: folder name)
+ *     "title": "Sitting figure",            // carousel label (default: name)
+ *     "description": "...",                 // carousel tooltip
+ *     "thumbnail": "data/thumb.jpg",        // carousel image
+ *     "ply": "data/scene.spz",              // or "url"
+ *     "temporal": "data/scene.4d.bin",      // default: splat path with .4d.bin; null: static
+ *     "camera": { "position": [0, 1.6, 3], "yaw": 0, "pitch": -10 },   // or "lookAt": [x, y, z]
+ *     "transform": { "up": "-y", "position": [0, 0, 0], "rotation": [0, 90, 0], "scale": 1 },
+ *     "playback": { "time": 0.5, "speed": 0.3, "loop": "pingpong", ... },
+ *     "cameraPath": "data/camera-path.json",   // or an inline path (see camera-path.js)
+ *     "splatCount": 1200000,                // informational, from build-manifest
+ *     "files": { "ply": { "bytes", "sha256", ... }, "temporal": { ... } }
+ *   }
+ *
+ * Relative paths resolve against the manifest's base URL. Angles are in
+ * degrees, distances in metres. Playback also takes the range/timecode keys
+ * documented on TemporalController.
+ *
+ * Kept free of three.js and SparkJS so build scripts can use it.
+ */
+
+import { CameraPath } from './camera-path.js';
+
+/** What playback does at the out point. */
+export const LoopMode = Object.freeze({
+    /** Jump back to the in point. */
+    LOOP: 'loop',
+    /** Stop at the out point. */
+    ONCE: 'once',
+    /** Reverse direction at either end. */
+    PINGPONG: 'pingpong',
+});
+
+/**
+ * Rotation (Euler XYZ, degrees) that turns each supported up axis into +Y,
+ * the viewer's up. "-y" is the OpenCV/COLMAP convention many trainers export.
+ */
+export const UP_AXIS_ROTATIONS = Object.freeze({
+    '+y': [0, 0, 0],
+    '-y': [180, 0, 0],
+    '+z': [-90, 0, 0],
+    '-z': [90, 0, 0],
+    '+x': [0, 0, 90],
+    '-x': [0, 0, -90],
+});
+
+/**
+ * Resolve a manifest path against a base URL. Absolute URLs pass through.
+ * @param {string} path
+ * @param {string} baseUrl - no trailing slash; '' for page-relative paths
+ * @returns {string}
+ */
+export function resolveManifestUrl(path, baseUrl) {
+    if (!baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('/')) return path;
+    return `${baseUrl}/${path}`;
+}
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function checkVector3(name, key, value) {
+    if (!isVector3(value)) {
+        throw new Error(`Scene "${name}": ${key} must be an array of 3 numbers`);
+    }
+    return [...value];
+}
+
+function checkNumber(name, key, value, { min = -Infinity, max = Infinity } = {}) {
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        throw new Error(`Scene "${name}": ${key} must be a number in [${min}, ${max}]`);
+    }
+    return value;
+}
+
+function normalizeCamera(name, camera) {
+    const position = checkVector3(name, 'camera.position', camera.position ?? [0, 1.6, 3]);
+    let yaw = camera.yaw ?? 0;
+    let pitch = camera.pitch ?? 0;
+    if (camera.lookAt !== undefined) {
+        // The camera looks down -Z at yaw 0 (three.js YXZ order)
+        const target = checkVector3(name, 'camera.lookAt', camera.lookAt);
+        const dx = target[0] - position[0];
+        const dy = target[1] - position[1];
+        const dz = target[2] - position[2];
+        if (dx === 0 && dy === 0 && dz === 0) {
+            throw new Error(`Scene "${name}": camera.lookAt must differ from camera.position`);
+        }
+        yaw = Math.atan2(-dx, -dz) * 180 / Math.PI;
+        pitch = Math.atan2(dy, Math.hypot(dx, dz)) * 180 / Math.PI;
+    }
+    return {
+        position,
+        yaw: checkNumber(name, 'camera.yaw', yaw),
+        pitch: checkNumber(name, 'camera.pitch', pitch, { min: -90, max: 90 }),
+    };
+}
+
+function normalizeTransform(name, transform) {
+    const up = transform.up ?? '+y';
+    if (!(up in UP_AXIS_ROTATIONS)) {
+        throw new Error(`Scene "${name}": transform.up must be one of ${Object.keys(UP_AXIS_ROTATIONS).join(', ')}`);
+    }
+    return {
+        up,
+        position: checkVector3(name, 'transform.position', transform.position ?? [0, 0, 0]),
+        rotation: checkVector3(name, 'transform.rotation', transform.rotation ?? [0, 0, 0]),
+        scale: checkNumber(name, 'transform.scale', transform.scale ?? 1, { min: Number.MIN_VALUE }),
+    };
+}
+
+function normalizeCameraPath(name, cameraPath, baseUrl) {
+    if (typeof cameraPath === 'string') return resolveManifestUrl(cameraPath, baseUrl);
+    try {
+        return CameraPath.fromJSON(cameraPath).toJSON();
+    } catch (e) {
+        throw new Error(`Scene "${name}": cameraPath: ${e.message}`);
+    }
+}
+
+function normalizePlayback(name, playback) {
+    const result = { ...playback };
+    if (playback.time !== undefined) {
+        result.time = checkNumber(name, 'playback.time', playback.time, { min: 0, max: 1 });
+    }
+    if (playback.speed !== undefined) {
+        result.speed = checkNumber(name, 'playback.speed', playback.speed, { min: 0 });
+    }
+    if (playback.loop !== undefined && !Object.values(LoopMode).includes(playback.loop)) {
+        throw new Error(`Scene "${name}": playback.loop must be one of ${Object.values(LoopMode).join(', ')}`);
+    }
+    if (playback.range !== undefined && playback.range !== 'full') {
+        const range = playback.range;
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || !(range[1] > range[0])) {
+            throw new Error(`Scene "${name}": playback.range must be "full" or an increasing [min, max] pair`);
+        }
+        result.range = [...range];
+    }
+    for (const key of ['in', 'out']) {
+        if (playback[key] !== undefined) checkNumber(name, `playback.${key}`, playback[key], { min: 0, max: 1 });
+    }
+    if (!((playback.in ?? 0) < (playback.out ?? 1))) {
+        throw new Error(`Scene "${name}": playback.in must be before playback.out`);
+    }
+    for (const key of ['duration', 'frameRate']) {
+        const value = playback[key];
+        if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+            throw new Error(`Scene "${name}": playback.${key} must be a positive number`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Validate a manifest entry, resolve its URLs and fill in defaults.
+ *
+ * @param {object} entry - raw scenes.json entry
+ * @param {string} [baseUrl] - base for relative paths (no trailing slash)
+ * @returns {object} entry with name, title, ply and temporal (null for static
+ *   scenes) always set; the other fields when given
+ * @throws {Error} if a field is malformed, naming the scene and field
+ */
+export function normalizeSceneEntry(entry, baseUrl = '') {
+    if (typeof entry !== 'object' || entry === null) {
+        throw new Error('Scene entries must be objects');
+    }
+    const splatPath = entry.url || entry.ply;
+    if (typeof splatPath !== 'string' || splatPath === '') {
+        throw new Error(`Scene "${entry.name ?? '?'}": missing "ply" (or "url")`);
+    }
+
+    // Default name: the folder holding the splat file, else its base name
+    const parts = splatPath.split('?')[0].split('/');
+    const name = String(entry.name ?? (parts.length > 1 ? parts[parts.length - 2] : parts[0]));
+
+    const ply = resolveManifestUrl(splatPath, baseUrl);
+    const normalized = {
+        name,
+        title: entry.title ? String(entry.title) : name,
+        ply,
+        temporal: entry.temporal === null ? null
+            : entry.temporal ? resolveManifestUrl(entry.temporal, baseUrl)
+            : ply.replace(/\.(spz|ply)$/, '.4d.bin'),
+    };
+    if (entry.description) normalized.description = String(entry.description);
+    if (entry.thumbnail) normalized.thumbnail = resolveManifestUrl(entry.thumbnail, baseUrl);
+    if (entry.camera) normalized.camera = normalizeCamera(name, entry.camera);
+    if (entry.transform) normalized.transform = normalizeTransform(name, entry.transform);
+    if (entry.playback) normalized.playback = normalizePlayback(name, entry.playback);
+    if (entry.cameraPath) normalized.cameraPath = normalizeCameraPath(name, entry.cameraPath, baseUrl);
+    if (Number.isInteger(entry.splatCount)) normalized.splatCount = entry.splatCount;
+    if (entry.files) normalized.files = entry.files;
+    return normalized;
+}
+
+/**
+ * Normalize a whole manifest, dropping (and reporting) malformed entries so
+ * one bad scene doesn't hide the rest.
+ *
+ * @param {object[]} manifest - parsed scenes.json
+ * @param {string} [baseUrl]
+ * @returns {{scenes: object[], errors: string[]}}
+ */
+export function normalizeManifest(manifest, baseUrl = '') {
+    if (!Array.isArray(manifest)) {
+        return { scenes: [], errors: ['Manifest must be a JSON array of scene entries'] };
+    }
+    const scenes = [];
+    const errors = [];
+    for (const entry of manifest) {
+        try {
+            scenes.push(normalizeSceneEntry(entry, baseUrl));
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    return { scenes, errors };
+}
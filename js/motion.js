@@ -0,0 +1,90 @@
+/**
+ * Motion model registry for per-splat trajectories.
+ *
+ * Every model is a linear basis: a splat's displacement from its canonical
+ * (t = 0.5) center is
+ *
+ *   offset(t) = sum_k weight_k(t - 0.5) * coeff_k
+ *
+ * where coeff_k is a per-splat vec3 from the sidecar and weight_k depends only
+ * on the current time. Because the weights are shared by all splats, a model
+ * only has to define weights(); the GPU path uploads them as uniforms and the
+ * CPU fallback uses the same numbers, so both paths stay in sync.
+ */
+
+/** Maximum coefficients per splat (bounded by vertex shader sampler slots). */
+export const MAX_MOTION_COEFFICIENTS = 8;
+
+/** Basis identifiers stored in the sidecar's motion field descriptor. */
+export const MotionBasis = Object.freeze({
+    POLYNOMIAL: 0,
+    FOURIER: 1,
+});
+
+const registry = new Map();
+
+/**
+ * Register a motion model.
+ *
+ * @param {object} model
+ * @param {number} model.id - basis id as stored in the sidecar
+ * @param {string} model.name - human-readable name for logs
+ * @param {function(number, number, Float32Array): void} model.weights -
+ *   weights(tau, count, out) writes `count` basis weights for tau = t - 0.5 into out
+ */
+export function registerMotionModel(model) {
+    if (typeof model.weights !== 'function') {
+        throw new Error(`Motion model "${model.name}" must define weights()`);
+    }
+    registry.set(model.id, model);
+}
+
+/**
+ * Look up a registered motion model by basis id.
+ * @param {number} id
+ */
+export function getMotionModel(id) {
+    const model = registry.get(id);
+    if (!model) {
+        const known = [...registry.values()].map(m => `${m.id}=${m.name}`).join(', ');
+        throw new Error(`Unknown motion basis ${id} (registered: ${known})`);
+    }
+    return model;
+}
+
+/**
+ * Taylor polynomial: weight_k = tau^k / k!  (k = 1..count)
+ *
+ * With one coefficient this is the legacy `velocity * tau` model and with two
+ * it adds `0.5 * accel * tau^2`, so v1 sidecars map onto it unchanged.
+ */
+registerMotionModel({
+    id: MotionBasis.POLYNOMIAL,
+    name: 'polynomial',
+    weights(tau, count, out) {
+        let w = 1;
+        for (let k = 0; k < count; k++) {
+            w *= tau / (k + 1);
+            out[k] = w;
+        }
+    },
+});
+
+/**
+ * Fourier series over one period of normalized time, as (sin, cos) pairs:
+ *   weight_{2j}   = sin(2*pi*(j+1)*tau)
+ *   weight_{2j+1} = cos(2*pi*(j+1)*tau) - 1
+ *
+ * The cosine terms are offset so every basis function is zero at tau = 0,
+ * keeping the stored center as the t = 0.5 position.
+ */
+registerMotionModel({
+    id: MotionBasis.FOURIER,
+    name: 'fourier',
+    weights(tau, count, out) {
+        for (let k = 0; k < count; k++) {
+            const phase = 2 * Math.PI * (Math.floor(k / 2) + 1) * tau;
+            out[k] = (k % 2 === 0) ? Math.sin(phase) : Math.cos(phase) - 1;
+        }
+    },
+});
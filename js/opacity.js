@@ -0,0 +1,119 @@
+/**
+ * Temporal opacity profiles.
+ *
+ * A profile maps a splat's time offset `dt = t - time_i`, its duration and an
+ * optional per-splat parameter to an opacity multiplier in [0, 1]. Each
+ * profile is defined twice from the same formula: evaluate() for the CPU
+ * fallback and dyno() for the GPU shader graph.
+ *
+ * The SparkJS `dyno` namespace is passed into dyno() rather than imported so
+ * this module (like motion.js) stays usable from Node tooling.
+ */
+
+/** Durations (and other time widths) are clamped to at least this value. */
+export const MIN_DURATION = 0.02;
+
+/** Profile identifiers stored in the sidecar. */
+export const OpacityProfile = Object.freeze({
+    GAUSSIAN: 0,
+    BOX: 1,
+    ASYMMETRIC_GAUSSIAN: 2,
+});
+
+const registry = new Map();
+
+/**
+ * Register an opacity profile.
+ *
+ * @param {object} profile
+ * @param {number} profile.id - profile id as stored in the sidecar
+ * @param {string} profile.name - human-readable name for logs
+ * @param {function(number, number, number): number} profile.evaluate -
+ *   evaluate(dt, duration, param) on the CPU; duration is already clamped
+ * @param {function(object, DynoVal, DynoVal, DynoVal): DynoVal} profile.dyno -
+ *   dyno(d, dt, duration, param) building the same expression as a Dyno graph,
+ *   where `d` is SparkJS's dyno namespace
+ */
+export function registerOpacityProfile(profile) {
+    if (typeof profile.evaluate !== 'function' || typeof profile.dyno !== 'function') {
+        throw new Error(`Opacity profile "${profile.name}" must define evaluate() and dyno()`);
+    }
+    registry.set(profile.id, profile);
+}
+
+/**
+ * Look up a registered opacity profile by id.
+ * @param {number} id
+ */
+export function getOpacityProfile(id) {
+    const profile = registry.get(id);
+    if (!profile) {
+        const known = [...registry.values()].map(p => `${p.id}=${p.name}`).join(', ');
+        throw new Error(`Unknown opacity profile ${id} (registered: ${known})`);
+    }
+    return profile;
+}
+
+/** All registered profiles, in id order. */
+export function listOpacityProfiles() {
+    return [...registry.values()].sort((a, b) => a.id - b.id);
+}
+
+const smoothstep = (e0, e1, x) => {
+    const t = Math.max(0, Math.min(1, (x - e0) / (e1 - e0)));
+    return t * t * (3 - 2 * t);
+};
+
+/** exp(-0.5 * (dt / duration)^2) — the original FreeSplat4D profile. */
+registerOpacityProfile({
+    id: OpacityProfile.GAUSSIAN,
+    name: 'gaussian',
+    evaluate(dt, duration) {
+        const ratio = dt / duration;
+        return Math.exp(-0.5 * ratio * ratio);
+    },
+    dyno(d, dt, duration) {
+        const { mul, div, exp, dynoConst } = d;
+        const ratio = div(dt, duration);
+        return exp(mul(dynoConst('float', -0.5), mul(ratio, ratio)));
+    },
+});
+
+/**
+ * Fully visible while |dt| <= duration, then a smoothstep fade over `param`
+ * (edge width in normalized time).
+ */
+registerOpacityProfile({
+    id: OpacityProfile.BOX,
+    name: 'box',
+    evaluate(dt, duration, param) {
+        const edge = Math.max(param, MIN_DURATION);
+        return 1 - smoothstep(duration, duration + edge, Math.abs(dt));
+    },
+    dyno(d, dt, duration, param) {
+        const { add, sub, max, abs, smoothstep: smooth, dynoConst } = d;
+        const edge = max(param, dynoConst('float', MIN_DURATION));
+        return sub(dynoConst('float', 1.0), smooth(duration, add(duration, edge), abs(dt)));
+    },
+});
+
+/**
+ * Two-sided Gaussian: `duration` before the splat's time, `param` after it,
+ * so splats can fade in and out at different rates.
+ */
+registerOpacityProfile({
+    id: OpacityProfile.ASYMMETRIC_GAUSSIAN,
+    name: 'asymmetric-gaussian',
+    evaluate(dt, duration, param) {
+        const sigma = dt < 0 ? duration : Math.max(param, MIN_DURATION);
+        const ratio = dt / sigma;
+        return Math.exp(-0.5 * ratio * ratio);
+    },
+    dyno(d, dt, duration, param) {
+        const { mul, div, exp, max, select, lessThan, dynoConst } = d;
+        const trailing = max(param, dynoConst('float', MIN_DURATION));
+        const sigma = select(lessThan(dt, dynoConst('float', 0.0)), duration, trailing);
+        const ratio = div(dt, sigma);
+        return exp(mul(dynoConst('float', -0.5), mul(ratio, ratio)));
+    },
+});
@@ -0,0 +1,220 @@
+/**
+ * Coarse preview of a splat file while it is still downloading.
+ *
+ * Only uncompressed binary little-endian PLY files can be decoded from a
+ * partial download (vertices are fixed-size records in file order). SPZ is a
+ * gzip stream and other formats are skipped; the preview simply never appears.
+ *
+ * The most opaque splats seen so far are kept, which gives a recognizable
+ * silhouette from a fraction of the data. The preview is static: it is
+ * replaced by the full, animated SplatMesh once loading finishes.
+ */
+
+import { SplatMesh, PackedSplats, setPackedSplat } from '@sparkjsdev/spark';
+
+/** Maximum splats shown in the preview. */
+const MAX_PREVIEW_SPLATS = 100000;
+
+/** Rebuild the preview each time this much more of the file has arrived. */
+const REFRESH_FRACTION = 0.1;
+
+const SH_C0 = 0.28209479177387814;
+
+const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8],
+};
+
+// Vertex properties the preview needs, in record order of the pool below
+const PREVIEW_PROPERTIES = [
+    'x', 'y', 'z',
+    'scale_0', 'scale_1', 'scale_2',
+    'rot_0', 'rot_1', 'rot_2', 'rot_3',
+    'opacity',
+    'f_dc_0', 'f_dc_1', 'f_dc_2',
+];
+const STRIDE = PREVIEW_PROPERTIES.length;
+const OPACITY = PREVIEW_PROPERTIES.indexOf('opacity');
+
+/**
+ * Parse a PLY header from the start of a file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{dataOffset: number, vertexCount: number, recordSize: number,
+ *   properties: Object<string, {offset: number, getter: string}>}|null}
+ *   null if the header is incomplete or the layout can't be previewed
+ */
+function parsePlyHeader(bytes) {
+    const END = 'end_header\n';
+    const limit = Math.min(bytes.length, 64 * 1024);
+    const text = new TextDecoder().decode(bytes.subarray(0, limit));
+    const end = text.indexOf(END);
+    if (end < 0) return null;
+
+    const lines = text.slice(0, end).split('\n').map(l => l.trim());
+    if (lines[0] !== 'ply') return null;
+
+    let format = null;
+    let element = null;
+    let vertexCount = 0;
+    let recordSize = 0;
+    const properties = {};
+    for (const line of lines) {
+        const parts = line.split(/\s+/);
+        if (parts[0] === 'format') {
+            format = parts[1];
+        } else if (parts[0] === 'element') {
+            // Vertices must be the first element for their offset to be known
+            if (element === 'vertex') break;
+            element = parts[1];
+            if (element !== 'vertex') return null;
+            vertexCount = parseInt(parts[2]);
+        } else if (parts[0] === 'property' && element === 'vertex') {
+            if (parts[1] === 'list') return null;
+            const type = PLY_TYPES[parts[1]];
+            if (!type) return null;
+            properties[parts[2]] = { offset: recordSize, getter: type[0] };
+            recordSize += type[1];
+        }
+    }
+
+    if (format !== 'binary_little_endian') return null;
+    if (!PREVIEW_PROPERTIES.every(name => properties[name]?.getter === 'getFloat32')) return null;
+
+    // END is ASCII, so the character index equals the byte offset
+    return { dataOffset: end + END.length, vertexCount, recordSize, properties };
+}
+
+/**
+ * Incrementally decodes a downloading PLY and shows its most opaque splats.
+ */
+export class SplatPreview {
+    /**
+     * @param {object} parent - object the preview mesh is added to (the SparkRenderer)
+     */
+    constructor(parent) {
+        this.parent = parent;
+        this.mesh = null;
+
+        this._header = undefined;     // undefined = not parsed yet, null = unsupported
+        this._decoded = 0;            // vertices decoded so far
+        this._lastRefresh = 0;        // fraction of the file at the last rebuild
+        this._pool = new Float32Array(2 * MAX_PREVIEW_SPLATS * STRIDE);
+        this._poolSize = 0;
+        this._disposed = false;
+    }
+
+    /**
+     * Feed the bytes received so far (always a prefix of the same file).
+     * @param {Uint8Array} bytes
+     * @param {number} total - expected file size
+     */
+    update(bytes, total) {
+        if (this._disposed) return;
+
+        if (this._header === undefined) {
+            // SPZ and other compressed formats can't be decoded from a prefix
+            if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+                this._header = null;
+                return;
+            }
+            this._header = parsePlyHeader(bytes);
+            if (this._header === null && bytes.length < 64 * 1024) {
+                this._header = undefined;  // header may not have arrived yet
+                return;
+            }
+        }
+        if (!this._header) return;
+
+        const fraction = bytes.length / total;
+        if (fraction - this._lastRefresh < REFRESH_FRACTION) return;
+        this._lastRefresh = fraction;
+
+        this._decode(bytes);
+        this._rebuild();
+    }
+
+    /** Decode newly arrived vertices into the candidate pool. */
+    _decode(bytes) {
+        const { dataOffset, vertexCount, recordSize, properties } = this._header;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const available = Math.min(vertexCount, Math.floor((bytes.length - dataOffset) / recordSize));
+        const offsets = PREVIEW_PROPERTIES.map(name => properties[name].offset);
+
+        for (let i = this._decoded; i < available; i++) {
+            if (this._poolSize === this._pool.length / STRIDE) this._truncatePool();
+            const base = dataOffset + i * recordSize;
+            const dst = this._poolSize * STRIDE;
+            for (let p = 0; p < STRIDE; p++) {
+                this._pool[dst + p] = view.getFloat32(base + offsets[p], true);
+            }
+            this._poolSize++;
+        }
+        this._decoded = available;
+    }
+
+    /** Keep only the MAX_PREVIEW_SPLATS most opaque candidates. */
+    _truncatePool() {
+        if (this._poolSize <= MAX_PREVIEW_SPLATS) return;
+        const order = new Uint32Array(this._poolSize);
+        for (let i = 0; i < order.length; i++) order[i] = i;
+        // Opacity is stored as a logit, so sorting the raw value is enough
+        order.sort((a, b) => this._pool[b * STRIDE + OPACITY] - this._pool[a * STRIDE + OPACITY]);
+
+        const kept = new Float32Array(this._pool.length);
+        for (let i = 0; i < MAX_PREVIEW_SPLATS; i++) {
+            const src = order[i] * STRIDE;
+            kept.set(this._pool.subarray(src, src + STRIDE), i * STRIDE);
+        }
+        this._pool = kept;
+        this._poolSize = MAX_PREVIEW_SPLATS;
+    }
+
+    /** Replace the preview mesh with one built from the current pool. */
+    _rebuild() {
+        this._truncatePool();
+        const count = this._poolSize;
+        if (count === 0) return;
+
+        const packedSplats = new PackedSplats({ maxSplats: count });
+        const packedArray = packedSplats.ensureSplats(count);
+        const pool = this._pool;
+        for (let i = 0; i < count; i++) {
+            const s = i * STRIDE;
+            setPackedSplat(
+                packedArray, i,
+                pool[s], pool[s + 1], pool[s + 2],
+                Math.exp(pool[s + 3]), Math.exp(pool[s + 4]), Math.exp(pool[s + 5]),
+                // PLY stores the quaternion as (w, x, y, z)
+                pool[s + 7], pool[s + 8], pool[s + 9], pool[s + 6],
+                1 / (1 + Math.exp(-pool[s + OPACITY])),
+                0.5 + SH_C0 * pool[s + 11], 0.5 + SH_C0 * pool[s + 12], 0.5 + SH_C0 * pool[s + 13],
+            );
+        }
+        packedSplats.numSplats = count;
+
+        this._removeMesh();
+        this.mesh = new SplatMesh({ packedSplats });
+        this.parent.add(this.mesh);
+    }
+
+    _removeMesh() {
+        if (!this.mesh) return;
+        this.parent.remove(this.mesh);
+        this.mesh.dispose();
+        this.mesh = null;
+    }
+
+    /** Remove the preview; later update() calls are ignored. */
+    dispose() {
+        this._disposed = true;
+        this._removeMesh();
+        this._pool = null;
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * Decoded-scene cache with background prefetch and optional offline storage.
+ *
+ * A scene's "assets" are everything that is expensive to produce: the
+ * downloaded and decoded splat array plus the parsed, validated and packed
+ * sidecar. Creating a SplatMesh and DataTextures from cached assets only
+ * costs a GPU upload, so revisiting a scene is close to instant.
+ *
+ * Assets are kept in an LRU bounded by a byte budget. Downloads can also be
+ * persisted with the Cache API so scenes viewed before keep working offline.
+ */
+
+import { PackedSplats } from '@sparkjsdev/spark';
+import { fetchWithProgress, LoadProgress } from './loader.js';
+import { prepareTemporalData } from './temporal-prepare.js';
+
+/** Default in-memory budget for decoded scenes. */
+const DEFAULT_BUDGET_BYTES = 256 * 1024 * 1024;
+
+/** Cache API bucket for persisted downloads; bump to invalidate old entries. */
+const PERSIST_CACHE_NAME = 'freesplat4d-downloads-v1';
+
+/**
+ * fetch() through the Cache API, for offline use.
+ *
+ * Scene files are served from the cache first (they don't change once
+ * published); `networkFirst` is for files that do, like manifests, which are
+ * only read from the cache when the network fails. Successful full responses
+ * are stored. Where the Cache API is unavailable (e.g. non-secure contexts)
+ * this is plain fetch().
+ *
+ * A `version` (the content hash from the manifest) is part of the cache key,
+ * so a file replaced at the same URL is downloaded again rather than served
+ * stale from the cache.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {boolean} [options.networkFirst=false]
+ * @param {string} [options.version]
+ * @returns {Promise<Response>}
+ */
+export async function cachedFetch(url, { networkFirst = false, version } = {}) {
+    if (typeof caches === 'undefined') return fetch(url);
+    const key = version ? `${url}${url.includes('?') ? '&' : '?'}sha256=${version}` : url;
+
+    let cache;
+    try {
+        cache = await caches.open(PERSIST_CACHE_NAME);
+    } catch (e) {
+        console.warn('Cache API unavailable, downloads will not be persisted:', e.message);
+        return fetch(url);
+    }
+
+    if (!networkFirst) {
+        const hit = await cache.match(key);
+        if (hit) return hit;
+    }
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        const hit = networkFirst ? await cache.match(key) : null;
+        if (hit) return hit;
+        throw e;
+    }
+
+    if (response.status === 200) {
+        cache.put(key, response.clone()).catch((e) => {
+            console.warn(`Could not persist ${url}:`, e.message);
+        });
+    } else if (networkFirst && !response.ok) {
+        const hit = await cache.match(key);
+        if (hit) return hit;
+    }
+    return response;
+}
+
+/** Bytes held by typed arrays, counting shared buffers once. */
+function typedArrayBytes(arrays) {
+    const buffers = new Set();
+    for (const array of arrays) {
+        if (ArrayBuffer.isView(array)) buffers.add(array.buffer);
+    }
+    let bytes = 0;
+    for (const buffer of buffers) bytes += buffer.byteLength;
+    return bytes;
+}
+
+function sceneKey(entry) {
+    const files = entry.files ?? {};
+    return [entry.ply, entry.temporal, files.ply?.sha256, files.temporal?.sha256].join('|');
+}
+
+/**
+ * LRU of decoded scene assets.
+ *
+ * Assets returned by load():
+ *   splats:   { packedArray, numSplats, extra } — shared; use createPackedSplats()
+ *   temporal: { data, problems, packed } | { missing: true, message } | { error }
+ *   byteSize: memory held by this entry
+ *
+ * `error` is a sidecar that downloaded but doesn't parse; a sidecar that
+ * couldn't be downloaded at all rejects load() and nothing is cached.
+ */
+export class SceneCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.budgetBytes] - in-memory budget for decoded scenes
+     * @param {boolean} [options.persist=false] - store downloads with the Cache API
+     * @param {object} [options.textureOptions] - passed to prepareTemporalData()
+     */
+    constructor(options = {}) {
+        this.budgetBytes = options.budgetBytes ?? DEFAULT_BUDGET_BYTES;
+        this.persist = options.persist ?? false;
+        this.textureOptions = options.textureOptions ?? {};
+
+        /** @type {Map<string, object>} key → assets, least recently used first */
+        this._entries = new Map();
+        /** @type {Map<string, object>} key → in-flight { promise, fraction, listeners } */
+        this._pending = new Map();
+        this._prefetchQueue = [];
+        this._prefetching = false;
+        this.bytes = 0;
+    }
+
+    /** Whether a scene's assets are in memory. */
+    has(entry) {
+        return this._entries.has(sceneKey(entry));
+    }
+
+    /**
+     * Get a scene's assets: from memory, by joining an in-flight prefetch, or
+     * by downloading and decoding them.
+     *
+     * @param {object} entry - manifest entry ({ ply, temporal })
+     * @param {object} [callbacks]
+     * @param {function(number): void} [callbacks.onProgress] - combined fraction in [0, 1]
+     * @param {function(Uint8Array, number): void} [callbacks.onSplatData] - partial splat
+     *   bytes for previews; only called when this call starts the download
+     * @returns {Promise<object>} assets (see class doc)
+     */
+    async load(entry, { onProgress, onSplatData } = {}) {
+        const key = sceneKey(entry);
+
+        const hit = this._entries.get(key);
+        if (hit) {
+            // Re-insert to mark as most recently used
+            this._entries.delete(key);
+            this._entries.set(key, hit);
+            if (onProgress) onProgress(1);
+            return hit;
+        }
+
+        const job = this._pending.get(key) ?? this._start(key, entry, onSplatData);
+        if (!onProgress) return job.promise;
+        job.listeners.add(onProgress);
+        onProgress(job.fraction);
+        try {
+            return await job.promise;
+        } finally {
+            job.listeners.delete(onProgress);
+        }
+    }
+
+    /**
+     * Download and decode scenes in the background, one at a time. Replaces
+     * any queued prefetches that haven't started yet.
+     * @param {object[]} entries - manifest entries, most wanted first
+     */
+    prefetch(entries) {
+        this._prefetchQueue = entries.filter((entry) => {
+            const key = sceneKey(entry);
+            return !this._entries.has(key) && !this._pending.has(key);
+        });
+        if (!this._prefetching) this._runPrefetch();
+    }
+
+    async _runPrefetch() {
+        this._prefetching = true;
+        while (this._prefetchQueue.length > 0) {
+            const entry = this._prefetchQueue.shift();
+            try {
+                await this.load(entry);
+                console.log(`Prefetched scene "${entry.name}" (cache ${(this.bytes / 1e6).toFixed(0)} MB)`);
+            } catch (e) {
+                console.warn(`Prefetch of scene "${entry.name}" failed:`, e.message);
+            }
+        }
+        this._prefetching = false;
+    }
+
+    _start(key, entry, onSplatData) {
+        const job = { fraction: 0, listeners: new Set() };
+        const progress = new LoadProgress({ splats: 0.8, temporal: 0.2 }, (fraction) => {
+            job.fraction = fraction;
+            for (const listener of job.listeners) listener(fraction);
+        });
+        job.promise = this._fetchAndDecode(entry, progress, onSplatData)
+            .then((assets) => {
+                this._insert(key, assets);
+                return assets;
+            })
+            .finally(() => this._pending.delete(key));
+        this._pending.set(key, job);
+        return job;
+    }
+
+    async _fetchAndDecode(entry, progress, onSplatData) {
+        const files = entry.files ?? {};
+        const fetchImpl = (version) => (this.persist ? (url) => cachedFetch(url, { version }) : fetch);
+
+        // The sidecar is parsed, validated and packed in a worker while the
+        // splats are still downloading
+        let temporalPromise;
+        if (entry.temporal === null) {
+            // The manifest says the scene has no sidecar
+            temporalPromise = Promise.resolve({ missing: true, message: 'no sidecar in the manifest' });
+            progress.complete('temporal');
+        } else {
+            temporalPromise = fetchWithProgress(entry.temporal, (received, total) => {
+                progress.update('temporal', received, total);
+            }, null, fetchImpl(files.temporal?.sha256))
+                .then(
+                    // A sidecar that doesn't parse or match is reported when the scene is shown
+                    buffer => prepareTemporalData(buffer, { temporalUrl: entry.temporal }, this.textureOptions)
+                        .catch(e => ({ error: e })),
+                    (e) => {
+                        // A missing sidecar (HTTP error) means a static scene. Without
+                        // a response (offline, CORS, aborted) nothing is known about
+                        // it, so the load fails and nothing is cached
+                        if (e.status) return { missing: true, message: e.message };
+                        throw new Error(`Could not download temporal data (${entry.temporal}): ${e.message}`);
+                    })
+                .finally(() => progress.complete('temporal'));
+        }
+
+        const splatPromise = fetchWithProgress(entry.ply, (received, total) => {
+            progress.update('splats', received, total);
+        }, onSplatData, fetchImpl(files.ply?.sha256)).finally(() => progress.complete('splats'));
+
+        const [fileBytes, temporal] = await Promise.all([splatPromise, temporalPromise]);
+
+        const decoded = new PackedSplats({ fileBytes, fileName: entry.ply });
+        await decoded.initialized;
+        const splats = {
+            packedArray: decoded.packedArray,
+            numSplats: decoded.numSplats,
+            extra: decoded.extra,
+        };
+        // Only the CPU arrays are kept; nothing has been uploaded yet
+        decoded.dispose();
+
+        let byteSize = typedArrayBytes([splats.packedArray, ...Object.values(splats.extra)]);
+        if (temporal.data) {
+            const { data, packed } = temporal;
+            byteSize += typedArrayBytes([...Object.values(data), ...data.motionCoefficients]);
+            byteSize += packed.byteSize;
+        }
+        return { splats, temporal, byteSize };
+    }
+
+    _insert(key, assets) {
+        this._entries.set(key, assets);
+        this.bytes += assets.byteSize;
+
+        // Evict least recently used scenes, but always keep the newest one
+        for (const [oldKey, old] of this._entries) {
+            if (this.bytes <= this.budgetBytes || oldKey === key) break;
+            this._entries.delete(oldKey);
+            this.bytes -= old.byteSize;
+        }
+    }
+}
+
+/**
+ * Build a PackedSplats for display from cached assets.
+ *
+ * The packed array is the cached one, not a copy: the GPU path only reads
+ * it. Anything that rewrites it in place (the CPU animation fallback) must
+ * copy it first so the cache stays at the canonical (t = 0.5) state.
+ *
+ * @param {object} splats - assets.splats from SceneCache.load()
+ * @returns {PackedSplats}
+ */
+export function createPackedSplats(splats) {
+    return new PackedSplats({
+        packedArray: splats.packedArray,
+        numSplats: splats.numSplats,
+        extra: splats.extra,
+    });
+}
@@ -0,0 +1,256 @@
+/**
+ * Where scenes come from: the asset base URL, manifest sources and folder
+ * probing.
+ *
+ * Settings are layered, later layers winning:
+ *   1. defaults: the public R2 bucket's manifest, then a local scenes.json,
+ *      then probing the bucket's data, data2, ... folders
+ *   2. build-time env: VITE_ASSET_BASE_URL, VITE_MANIFESTS (comma-separated),
+ *      VITE_MERGE_MANIFESTS, VITE_PROBE
+ *   3. a runtime config file: config.json next to index.html, or ?config=url
+ *   4. URL params: ?base=, ?manifest= (repeatable), ?merge, ?probe=0|1
+ *
+ * Config file format (every key optional):
+ *   {
+ *     "baseUrl": "https://assets.example.org/scenes",
+ *     "manifests": ["scenes.json", { "url": "https://other/scenes.json", "baseUrl": "https://other/cdn" }],
+ *     "merge": true,
+ *     "probe": { "enabled": true, "baseUrl": "...", "maxFolders": 64 }
+ *   }
+ */
+
+import { normalizeManifest, normalizeSceneEntry } from './manifest.js';
+
+/** The public bucket used when nothing else is configured. */
+export const DEFAULT_BASE_URL = 'https://r2.pentacoxian.dev/public';
+
+/** Upper bound on probed folders, so a misconfigured server can't loop forever. */
+const DEFAULT_MAX_PROBE_FOLDERS = 64;
+
+/**
+ * Folder of a URL, used as the base for relative paths in a manifest.
+ * @param {string} url
+ * @returns {string} no trailing slash; '' for bare file names
+ */
+function urlDirectory(url) {
+    const path = url.split('?')[0];
+    const slash = path.lastIndexOf('/');
+    return slash < 0 ? '' : path.slice(0, slash);
+}
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+function parseFlag(value) {
+    if (value === undefined || value === null) return undefined;
+    return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function toManifestSource(source) {
+    const spec = typeof source === 'string' ? { url: source } : source;
+    if (!spec || typeof spec.url !== 'string' || spec.url === '') {
+        throw new Error('manifests entries must be URLs or { url, baseUrl? } objects');
+    }
+    return { url: spec.url, baseUrl: spec.baseUrl !== undefined ? trimSlash(spec.baseUrl) : urlDirectory(spec.url) };
+}
+
+/**
+ * Apply one layer of settings on top of a config.
+ * @param {object} config - resolved config, modified in place
+ * @param {object} layer - { baseUrl?, manifests?, merge?, probe? }
+ */
+function applyLayer(config, layer) {
+    if (layer.baseUrl !== undefined) {
+        config.baseUrl = trimSlash(layer.baseUrl);
+        // Sources that weren't set explicitly follow the base URL
+        if (!config.explicitManifests) config.manifests = defaultManifests(config.baseUrl);
+        if (!config.explicitProbeBase) config.probe.baseUrl = config.baseUrl;
+    }
+    if (layer.manifests !== undefined) {
+        config.manifests = layer.manifests.map(toManifestSource);
+        config.explicitManifests = true;
+    }
+    if (layer.merge !== undefined) config.merge = Boolean(layer.merge);
+
+    const probe = typeof layer.probe === 'boolean' ? { enabled: layer.probe } : layer.probe;
+    if (probe) {
+        if (probe.enabled !== undefined) config.probe.enabled = Boolean(probe.enabled);
+        if (probe.baseUrl !== undefined) {
+            config.probe.baseUrl = trimSlash(probe.baseUrl);
+            config.explicitProbeBase = true;
+        }
+        if (probe.maxFolders !== undefined) config.probe.maxFolders = probe.maxFolders;
+    }
+}
+
+function defaultManifests(baseUrl) {
+    const sources = baseUrl ? [{ url: `${baseUrl}/scenes.json`, baseUrl }] : [];
+    // A manifest next to index.html (the dev server generates one)
+    sources.push({ url: 'scenes.json', baseUrl: '' });
+    return sources;
+}
+
+function envLayer() {
+    const env = import.meta.env ?? {};
+    const layer = {};
+    if (env.VITE_ASSET_BASE_URL) layer.baseUrl = env.VITE_ASSET_BASE_URL;
+    if (env.VITE_MANIFESTS) layer.manifests = env.VITE_MANIFESTS.split(',').map(s => s.trim()).filter(Boolean);
+    if (env.VITE_MERGE_MANIFESTS) layer.merge = parseFlag(env.VITE_MERGE_MANIFESTS);
+    if (env.VITE_PROBE) layer.probe = parseFlag(env.VITE_PROBE);
+    return layer;
+}
+
+function paramsLayer(params) {
+    const layer = {};
+    if (params.has('base')) layer.baseUrl = params.get('base');
+    if (params.has('manifest')) layer.manifests = params.getAll('manifest');
+    if (params.has('merge')) layer.merge = parseFlag(params.get('merge') || '1');
+    if (params.has('probe')) layer.probe = parseFlag(params.get('probe') || '1');
+    return layer;
+}
+
+/**
+ * Fetch a JSON file, treating a missing file (or the dev server's HTML
+ * fallback) as absent rather than an error.
+ * @returns {Promise<any|null>}
+ */
+async function fetchOptionalJson(url, fetchImpl) {
+    const resp = await fetchImpl(url);
+    if (!resp.ok) return null;
+    const contentType = resp.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) return null;
+    return resp.json();
+}
+
+/**
+ * Resolve the scene source settings from every layer.
+ *
+ * @param {URLSearchParams} params - page URL params
+ * @param {function(string): Promise<Response>} [fetchImpl] - used for the config file
+ * @returns {Promise<{config: object, reports: object[]}>} config is
+ *   { baseUrl, manifests: [{url, baseUrl}], merge, probe: {enabled, baseUrl, maxFolders} };
+ *   reports holds a failed config file, in the format of discoverScenes()
+ */
+export async function loadSourceConfig(params, fetchImpl = fetch) {
+    const config = {
+        baseUrl: DEFAULT_BASE_URL,
+        manifests: defaultManifests(DEFAULT_BASE_URL),
+        merge: false,
+        probe: { enabled: true, baseUrl: DEFAULT_BASE_URL, maxFolders: DEFAULT_MAX_PROBE_FOLDERS },
+        explicitManifests: false,
+        explicitProbeBase: false,
+    };
+    const reports = [];
+
+    applyLayer(config, envLayer());
+
+    const configUrl = params.get('config') || 'config.json';
+    try {
+        const file = await fetchOptionalJson(configUrl, fetchImpl);
+        if (file) {
+            applyLayer(config, file);
+            console.log(`Scene sources configured by ${configUrl}`);
+        } else if (params.has('config')) {
+            throw new Error('not found or not JSON');
+        }
+    } catch (e) {
+        reports.push({ source: configUrl, count: 0, error: e.message });
+    }
+
+    try {
+        applyLayer(config, paramsLayer(params));
+    } catch (e) {
+        reports.push({ source: 'URL parameters', count: 0, error: e.message });
+    }
+
+    const { explicitManifests, explicitProbeBase, ...resolved } = config;
+    return { config: resolved, reports };
+}
+
+/**
+ * Probe base/data, base/data2, ... for scene.spz until the first miss.
+ * @returns {Promise<object[]>} normalized entries
+ */
+async function probeFolders({ baseUrl, maxFolders }) {
+    const isSpz = async (url) => {
+        try {
+            const resp = await fetch(url, { headers: { Range: 'bytes=0-1' } });
+            if (!resp.ok && resp.status !== 206) return false;
+            const buf = await resp.arrayBuffer();
+            const bytes = new Uint8Array(buf);
+            // SPZ files are gzip-compressed: magic bytes 0x1f 0x8b
+            return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+        } catch (_) { return false; }
+    };
+
+    const found = [];
+    for (let i = 1; i <= maxFolders; i++) {
+        const folder = i === 1 ? 'data' : `data${i}`;
+        if (!await isSpz(`${baseUrl}/${folder}/scene.spz`)) break;
+        found.push(normalizeSceneEntry({ name: folder, ply: `${folder}/scene.spz` }, baseUrl));
+    }
+    return found;
+}
+
+/**
+ * Collect scenes from the configured sources.
+ *
+ * Manifests are read in order. Without `merge` the first one that yields
+ * scenes wins; with it, all of them are concatenated (a scene listed twice is
+ * kept once). Folder probing runs only when no manifest yielded scenes.
+ *
+ * Each source gets a report, so a broken manifest is visible even when
+ * others filled the carousel: { source, count, error?, skipped? } where
+ * skipped lists malformed entries.
+ *
+ * @param {object} config - from loadSourceConfig()
+ * @param {function(string): Promise<Response>} [fetchManifest] - fetch used for
+ *   manifests (a caching fetch when downloads are persisted for offline use)
+ * @returns {Promise<{scenes: object[], reports: object[]}>}
+ */
+export async function discoverScenes(config, fetchManifest = fetch) {
+    const scenes = [];
+    const reports = [];
+    const seen = new Set();
+
+    for (const source of config.manifests) {
+        if (!config.merge && scenes.length > 0) break;
+        const report = { source: source.url, count: 0 };
+        reports.push(report);
+        try {
+            const manifest = await fetchOptionalJson(source.url, fetchManifest);
+            if (manifest === null) {
+                report.error = 'not found';
+                continue;
+            }
+            const { scenes: found, errors } = normalizeManifest(manifest, source.baseUrl);
+            if (errors.length > 0) report.skipped = errors;
+            for (const entry of found) {
+                if (seen.has(entry.ply)) continue;
+                seen.add(entry.ply);
+                scenes.push(entry);
+                report.count++;
+            }
+        } catch (e) {
+            report.error = e.message;
+        }
+    }
+
+    if (scenes.length === 0 && config.probe.enabled && config.probe.baseUrl) {
+        const report = { source: `${config.probe.baseUrl}/data*/scene.spz`, count: 0 };
+        reports.push(report);
+        const found = await probeFolders(config.probe);
+        scenes.push(...found);
+        report.count = found.length;
+        if (found.length === 0) report.error = 'no data folders found';
+    }
+
+    for (const report of reports) {
+        if (report.error) console.warn(`Scene source ${report.source}: ${report.error}`);
+        for (const message of report.skipped ?? []) {
+            console.warn(`Skipping manifest entry in ${report.source}:`, message);
+        }
+    }
+    return { scenes, reports };
+}
@@ -0,0 +1,57 @@
+/**
+ * Still captures of the current view at any resolution (independent of the
+ * window size), optionally over a transparent background. Rendering goes
+ * through the same offscreen path as frame export.
+ */
+
+import { encodePng, renderPixels } from './frame-export.js';
+
+/** Largest target SparkViewpoint renders to, per side (after supersampling). */
+const MAX_TARGET_SIZE = 8192;
+
+/**
+ * File name (without extension) for a capture: the scene name plus its
+ * normalized time, e.g. "data2_t0.4312".
+ * @param {string} sceneName
+ * @param {number|null} time - normalized time; null for static scenes
+ * @returns {string}
+ */
+export function screenshotBaseName(sceneName, time) {
+    const safe = sceneName.replace(/[^\w.-]+/g, '_');
+    return time === null ? safe : `${safe}_t${time.toFixed(4)}`;
+}
+
+/**
+ * Render the scene from a camera at a given size and encode it as PNG.
+ *
+ * @param {object} options
+ * @param {object} options.sparkRenderer - SparkRenderer in `scene`
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera - rendered at the capture aspect ratio
+ * @param {number} options.width - pixels
+ * @param {number} options.height - pixels
+ * @param {boolean} [options.transparent=false] - transparent background
+ * @param {number} [options.superSample=1] - render at up to this multiple of
+ *   the size and average down (1-4; reduced to fit the target limit)
+ * @returns {Promise<Blob>} image/png
+ * @throws {Error} for sizes outside 16-8192 pixels
+ */
+export async function captureScreenshot({ sparkRenderer, scene, camera, width, height, transparent = false, superSample = 1 }) {
+    width = Math.round(width);
+    height = Math.round(height);
+    if (!(width >= 16 && width <= MAX_TARGET_SIZE && height >= 16 && height <= MAX_TARGET_SIZE)) {
+        throw new Error(`Screenshot size must be between 16 and ${MAX_TARGET_SIZE} pixels per side`);
+    }
+    const superXY = Math.max(1, Math.min(superSample, 4, Math.floor(MAX_TARGET_SIZE / Math.max(width, height))));
+
+    const viewpoint = sparkRenderer.newViewpoint({
+        target: { width, height, superXY },
+        sortRadial: sparkRenderer.defaultView.sortRadial,
+    });
+    try {
+        const pixels = await renderPixels(viewpoint, scene, camera, { transparent });
+        return await encodePng(pixels, width, height);
+    } finally {
+        viewpoint.dispose();
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Main-thread side of temporal-worker.js.
+ *
+ * Kept out of loader.js so the worker bundle (which imports loader.js) does
+ * not reference itself.
+ */
+
+import { TemporalData, parseTemporalBinary, validateTemporalValues, packTemporalTextures } from './loader.js';
+
+let workerPromise = null;
+let nextRequestId = 1;
+const pending = new Map();
+
+/**
+ * Start the worker once and wait for it to report ready, so a worker that
+ * fails to load (e.g. no module worker support) is detected before any buffer
+ * has been transferred to it.
+ * @returns {Promise<Worker|null>} null when parsing must stay on the main thread
+ */
+function getWorker() {
+    if (workerPromise) return workerPromise;
+    workerPromise = new Promise((resolve) => {
+        if (typeof Worker === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        let worker;
+        try {
+            worker = new Worker(new URL('./temporal-worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            console.warn('Temporal worker unavailable, parsing on the main thread:', e.message);
+            resolve(null);
+            return;
+        }
+
+        worker.onmessage = (event) => {
+            if (event.data.ready) {
+                resolve(worker);
+                return;
+            }
+            const { id, error, data, problems, packed } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+            pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                // Structured clone drops the prototype
+                request.resolve({ data: Object.assign(new TemporalData(), data), problems, packed });
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('Temporal worker failed, parsing on the main thread:', event.message);
+            worker.terminate();
+            for (const request of pending.values()) {
+                request.reject(new Error(`Temporal worker failed: ${event.message}`));
+            }
+            pending.clear();
+            workerPromise = Promise.resolve(null);
+            resolve(null);
+        };
+    });
+    return workerPromise;
+}
+
+function prepareOnMainThread(buffer, urls, textureOptions) {
+    const data = parseTemporalBinary(buffer);
+    return { data, problems: validateTemporalValues(data, urls), packed: packTemporalTextures(data, textureOptions) };
+}
+
+/**
+ * Parse, validate and pack a sidecar in a worker, keeping the render loop
+ * responsive. Falls back to the main thread where workers are unavailable.
+ *
+ * The buffer is transferred to the worker and is unusable afterwards.
+ *
+ * @param {ArrayBuffer} buffer - raw .4d.bin contents
+ * @param {object} [urls] - { temporalUrl } for validation messages
+ * @param {object} [textureOptions] - { layout, precision } for packTemporalTextures()
+ * @returns {Promise<{data: TemporalData, problems: string[], packed: object}>}
+ *   problems covers the values only; check the splat count with checkSplatCount()
+ */
+export async function prepareTemporalData(buffer, urls = {}, textureOptions = {}) {
+    const worker = await getWorker();
+    if (!worker) {
+        return prepareOnMainThread(buffer, urls, textureOptions);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, buffer, urls, textureOptions }, [buffer]);
+    });
+}
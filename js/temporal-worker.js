@@ -0,0 +1,39 @@
+/**
+ * Web Worker that prepares a temporal sidecar off the main thread.
+ *
+ * On start:  { ready: true }
+ * Request:   { id, buffer, urls, textureOptions }  (buffer is transferred in)
+ * Response:  { id, data, problems, packed } or { id, error }
+ *
+ * Parsing, value validation and RGBA texture padding are the slow parts of a
+ * scene switch; only DataTexture creation is left for the main thread. All
+ * result arrays are transferred back, so nothing is copied in either direction.
+ */
+
+import { parseTemporalBinary, validateTemporalValues, packTemporalTextures } from './loader.js';
+
+self.onmessage = (event) => {
+    const { id, buffer, urls, textureOptions } = event.data;
+    try {
+        const data = parseTemporalBinary(buffer);
+        const problems = validateTemporalValues(data, urls);
+        const packed = packTemporalTextures(data, textureOptions);
+        self.postMessage({ id, data, problems, packed }, transferables(data, packed));
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
+
+self.postMessage({ ready: true });
+
+/** Unique ArrayBuffers behind the result (float32 fields may share the file buffer). */
+function transferables(data, packed) {
+    const buffers = new Set();
+    const add = (array) => { if (array) buffers.add(array.buffer); };
+    for (const value of Object.values(data)) {
+        if (ArrayBuffer.isView(value)) add(value);
+    }
+    data.motionCoefficients.forEach(add);
+    packed.planes.forEach(plane => add(plane.array));
+    return [...buffers];
+}
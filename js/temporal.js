@@ -9,9 +9,17 @@
  * the modifier doesn't expose splat indices for texture lookups).
  */
 
-import { toHalf, dyno } from '@sparkjsdev/spark';
+import { toHalf, dyno, utils } from '@sparkjsdev/spark';
+import { getMotionModel } from './motion.js';
+import { LoopMode } from './manifest.js';
+import { MIN_DURATION, getOpacityProfile, listOpacityProfiles } from './opacity.js';
 
-const MIN_DURATION = 0.02;
+// Below this rotation angle (radians) the axis-angle → quaternion conversion
+// treats the rotation as identity to avoid dividing by zero.
+const MIN_ROTATION_ANGLE = 1e-8;
+
+// Swizzle names for texture channels 0-3
+const CHANNELS = ['x', 'y', 'z', 'w'];
 
 /**
  * Build a GPU-side Dyno objectModifier for 4D temporal animation.
@@ -25,7 +33,8 @@ const MIN_DURATION = 0.02;
  *
  * @param {object} textures - from createTemporalTextures()
  * @param {TemporalData} temporalData
- * @returns {{ modifier: GsplatModifier, handle: { setTime(t: number): void, bindMesh(mesh: SplatMesh): void, currentTime: number } }}
+ * @returns {{ modifier: GsplatModifier, handle: { setTime(t: number): void, setOpacity(opacity: number): void,
+ *   bindMesh(mesh: SplatMesh): void, currentTime: number, dispose(): void } }}
  */
 export function buildDynoModifier(textures, temporalData) {
     return createDynoModifier(textures, temporalData);
@@ -36,39 +45,54 @@ export function buildDynoModifier(textures, temporalData) {
  *
  * Uses SparkJS's Dyno shader graph to modify splat positions and opacity
  * entirely on the GPU. Each splat's temporal parameters (time, duration,
- * velocity) are stored in DataTextures and sampled per-splat using the
- * splat index from splitGsplat().
+ * motion coefficients) are stored in DataTextures and sampled per-splat using
+ * the splat index from splitGsplat().
+ *
+ * Motion model (per splat), with weight_k from the sidecar's motion basis:
+ *   pos(t) = center + sum_k weight_k(t - 0.5) * coeff_k
+ *   rot(t) = axisAngle(angvel * (t - 0.5)) * quaternion
+ *   opacity(t) = opacity * profile(t - time_i, duration_i, param_i) * scene_opacity
  *
- * Motion model (per splat):
- *   pos(t) = center + velocity * (t - 0.5)
- *   temporal_opacity = exp(-0.5 * ((t - time_i) / duration_i)^2)
+ * The opacity profile is the sidecar's scene-wide one (Gaussian by default,
+ * see opacity.js), or selected per splat when per-splat profile ids exist.
  */
 function createDynoModifier(textures, temporalData) {
     const {
         dynoBlock, splitGsplat, combineGsplat, Gsplat,
         dynoFloat, dynoSampler2D, dynoConst,
-        texelFetch, add, sub, mul, div, exp, max,
-        split, combine, vec3,
+        texelFetch, add, sub, mul, div, max, sin, cos, length, select, equal,
+        split, combine, vec3, extendVec, transformQuat,
     } = dyno;
 
     // Updateable uniform for current playback time
     const uCurrentTime = dynoFloat(0.5);
 
+    // Scene-wide opacity multiplier, used to cross-fade between scenes
+    const uSceneOpacity = dynoFloat(1);
+
+    // Motion basis weights depend only on time, so they are evaluated on the
+    // CPU by the model and uploaded as one uniform per coefficient
+    const motionModel = getMotionModel(temporalData.motionBasis);
+    const { fields } = textures;
+    const motionWeights = new Float32Array(fields.motion.length);
+    const uMotionWeights = fields.motion.map(() => dynoFloat(0));
+
     // Texture width constant for index → texcoord conversion
     const uTexWidth = dynoConst('int', textures.texWidth);
 
-    // Texture sampler uniforms
-    const uTimesTex = dynoSampler2D(textures.timesTex);
-    const uDurationsTex = dynoSampler2D(textures.durationsTex);
-    const uVelocitiesTex = dynoSampler2D(textures.velocitiesTex);
-    const uAccelTex = textures.accelTex ? dynoSampler2D(textures.accelTex) : null;
+    // One sampler per texture plane; half-float planes also carry the
+    // per-channel range scale that was divided out when packing
+    const uPlanes = textures.textures.map(tex => dynoSampler2D(tex));
+    const planeScales = textures.planes.map(({ scale }) => (scale ? dynoConst('vec4', scale) : null));
+    const sceneProfile = getOpacityProfile(temporalData.opacityProfile);
 
     // Shader constants
     const ZERO_LOD = dynoConst('int', 0);
     const REF_TIME = dynoConst('float', 0.5);
     const MIN_DUR = dynoConst('float', MIN_DURATION);
-    const NEG_HALF = dynoConst('float', -0.5);
+    const ZERO_CONST = dynoConst('float', 0.0);
     const HALF_CONST = dynoConst('float', 0.5);
+    const MIN_ANGLE = dynoConst('float', MIN_ROTATION_ANGLE);
 
     // Build the Dyno modifier graph
     const modifier = dynoBlock(
@@ -78,7 +102,7 @@ function createDynoModifier(textures, temporalData) {
             if (!gsplat) throw new Error('No gsplat input');
 
             // Extract per-splat components (index is the original PLY order)
-            const { index, center, opacity } = splitGsplat(gsplat).outputs;
+            const { index, center, quaternion, opacity } = splitGsplat(gsplat).outputs;
 
             // Convert splat index → 2D texture coordinate
             // coord = ivec2(index % texWidth, index / texWidth)
@@ -86,38 +110,77 @@ function createDynoModifier(textures, temporalData) {
             const col = sub(index, mul(row, uTexWidth));
             const coord = combine({ vectorType: 'ivec2', x: col, y: row });
 
-            // Fetch temporal parameters from DataTextures
-            const splatTime = split(texelFetch(uTimesTex, coord, ZERO_LOD)).outputs.x;
-            const rawDuration = split(texelFetch(uDurationsTex, coord, ZERO_LOD)).outputs.x;
+            // Fetch each texture plane once, then read attributes from the
+            // channels the packing layout assigned them
+            const texels = uPlanes.map((uTex, i) => {
+                const texel = texelFetch(uTex, coord, ZERO_LOD);
+                return planeScales[i] ? mul(texel, planeScales[i]) : texel;
+            });
+            const scalar = (field) => split(texels[field.plane]).outputs[CHANNELS[field.channel]];
+            const vector = (field) => vec3(texels[field.plane]);
+
+            const splatTime = scalar(fields.time);
+            const rawDuration = scalar(fields.duration);
             const duration = max(rawDuration, MIN_DUR);
-            const velocity = vec3(texelFetch(uVelocitiesTex, coord, ZERO_LOD));
 
-            // Temporal opacity: exp(-0.5 * (dt / duration)^2)
+            // Temporal opacity from the scene-wide or per-splat profile
             const dt = sub(uCurrentTime, splatTime);
-            const ratio = div(dt, duration);
-            const temporalOpacity = exp(mul(NEG_HALF, mul(ratio, ratio)));
-            const newOpacity = mul(opacity, temporalOpacity);
+            const opacityParam = fields.opacityParam ? scalar(fields.opacityParam) : ZERO_CONST;
+            let temporalOpacity;
+            if (fields.opacityProfile) {
+                // Evaluate every registered profile and keep the one matching the splat's id
+                const profileId = scalar(fields.opacityProfile);
+                for (const profile of listOpacityProfiles()) {
+                    const value = profile.dyno(dyno, dt, duration, opacityParam);
+                    temporalOpacity = temporalOpacity
+                        ? select(equal(profileId, dynoConst('float', profile.id)), value, temporalOpacity)
+                        : value;
+                }
+            } else {
+                temporalOpacity = sceneProfile.dyno(dyno, dt, duration, opacityParam);
+            }
+            const newOpacity = mul(mul(opacity, temporalOpacity), uSceneOpacity);
+
+            // Position animation: center + sum_k weight_k * coeff_k
+            let newCenter = center;
+            fields.motion.forEach((field, k) => {
+                newCenter = add(newCenter, mul(vector(field), uMotionWeights[k]));
+            });
 
-            // Position animation: center + velocity * (currentTime - 0.5)
             const dtFromRef = sub(uCurrentTime, REF_TIME);
-            const displacement = mul(velocity, dtFromRef);
-            let newCenter = add(center, displacement);
-
-            // Add acceleration contribution if available
-            if (uAccelTex) {
-                const accel = vec3(texelFetch(uAccelTex, coord, ZERO_LOD));
-                const halfDtSq = mul(HALF_CONST, mul(dtFromRef, dtFromRef));
-                newCenter = add(newCenter, mul(accel, halfDtSq));
+
+            // Rotate orientation by the axis-angle vector angvel * (t - 0.5).
+            // sin(angle/2) / angle keeps the xyz part finite as angle -> 0.
+            let newQuaternion = quaternion;
+            if (fields.angvel) {
+                const angvel = vector(fields.angvel);
+                const rotVec = mul(angvel, dtFromRef);
+                const angle = length(rotVec);
+                const halfAngle = mul(HALF_CONST, angle);
+                const sinRatio = div(sin(halfAngle), max(angle, MIN_ANGLE));
+                const deltaQuat = extendVec(mul(rotVec, sinRatio), cos(halfAngle));
+                newQuaternion = transformQuat(quaternion, { rotate: deltaQuat });
             }
 
             return {
-                gsplat: combineGsplat({ gsplat, center: newCenter, opacity: newOpacity }),
+                gsplat: combineGsplat({
+                    gsplat, center: newCenter, quaternion: newQuaternion, opacity: newOpacity,
+                }),
             };
         },
     );
 
     console.log(`Dyno temporal modifier created (texSize=${textures.texWidth}x${textures.texHeight}, ` +
-                `accel=${!!uAccelTex})`);
+                `${uPlanes.length} ${textures.layout} ${textures.precision} textures, ` +
+                `${(textures.byteSize / 1e6).toFixed(1)} MB, ` +
+                `motion=${motionModel.name}x${fields.motion.length}, angvel=${!!fields.angvel}, ` +
+                `opacity=${fields.opacityProfile ? 'per-splat' : sceneProfile.name})`);
+
+    function updateMotionWeights(t) {
+        motionModel.weights(t - 0.5, motionWeights.length, motionWeights);
+        uMotionWeights.forEach((u, k) => { u.value = motionWeights[k]; });
+    }
+    updateMotionWeights(uCurrentTime.value);
 
     // Reference to the SplatMesh, set via bindMesh() after construction.
     // SparkJS caches generated splats and only re-runs the modifier when
@@ -132,6 +195,7 @@ function createDynoModifier(textures, temporalData) {
             },
             setTime(t) {
                 uCurrentTime.value = t;
+                updateMotionWeights(t);
                 if (boundMesh) {
                     boundMesh.needsUpdate = true;
                 }
@@ -139,6 +203,17 @@ function createDynoModifier(textures, temporalData) {
             get currentTime() {
                 return uCurrentTime.value;
             },
+            /** Multiply every splat's opacity by `opacity` (0-1), e.g. for scene fades. */
+            setOpacity(opacity) {
+                uSceneOpacity.value = opacity;
+                if (boundMesh) {
+                    boundMesh.needsUpdate = true;
+                }
+            },
+            /** Stop invalidating the mesh; the textures are owned by the scene lifecycle. */
+            dispose() {
+                boundMesh = null;
+            },
         },
     };
 }
@@ -146,20 +221,32 @@ function createDynoModifier(textures, temporalData) {
 /**
  * CPU-side fallback: update PackedSplats positions each frame via onFrame.
  *
- * Directly manipulates the packed Uint32Array for center (float16) and
- * opacity (uint8) to avoid THREE.js object overhead and unnecessary
- * re-encoding of unchanged scale/quaternion/color data.
+ * Directly manipulates the packed Uint32Array for center (float16),
+ * opacity (uint8) and, when angular velocity is present, the encoded
+ * quaternion, to avoid THREE.js object overhead and unnecessary
+ * re-encoding of unchanged scale/color data.
+ *
+ * Uses the same motion model as createDynoModifier() so both paths
+ * produce identical splats for a given time.
  */
 export function createCPUFallback(splatMesh, temporalData) {
     const N = temporalData.splatCount;
     const times = temporalData.times;
     const durations = temporalData.durations;
-    const velocities = temporalData.velocities;
-    const accelerations = temporalData.accelerations;
-    const hasAccel = temporalData.hasAcceleration;
-
-    // Store original positions and opacities (read from PackedSplats after loading)
+    const motionModel = getMotionModel(temporalData.motionBasis);
+    const motionCoefficients = temporalData.motionCoefficients;
+    const motionWeights = new Float32Array(motionCoefficients.length);
+    const sceneProfile = getOpacityProfile(temporalData.opacityProfile);
+    const opacityParams = temporalData.opacityParams;
+    const opacityProfiles = temporalData.opacityProfiles;
+    const profilesById = [];
+    for (const profile of listOpacityProfiles()) profilesById[profile.id] = profile;
+    const angularVelocities = temporalData.angularVelocities;
+    const hasAngvel = temporalData.hasAngularVelocity && !!angularVelocities;
+
+    // Store original positions, quaternions and opacities (read from PackedSplats after loading)
     let originalPositions = null;
+    let originalQuaternions = null;
     let originalOpacityBytes = null;
     let currentTime = 0.5;
     let needsUpdate = false;
@@ -174,13 +261,22 @@ export function createCPUFallback(splatMesh, temporalData) {
         const actualN = Math.min(N, ps.numSplats);
         originalPositions = new Float32Array(actualN * 3);
         originalOpacityBytes = new Uint8Array(actualN);
+        if (hasAngvel) {
+            originalQuaternions = new Float32Array(actualN * 4);
+        }
 
         // Read positions from forEachSplat (objects are reused, read values immediately)
-        splatMesh.forEachSplat((index, center, _scales, _quat, opacity, _color) => {
+        splatMesh.forEachSplat((index, center, _scales, quat, opacity, _color) => {
             if (index < actualN) {
                 originalPositions[index * 3] = center.x;
                 originalPositions[index * 3 + 1] = center.y;
                 originalPositions[index * 3 + 2] = center.z;
+                if (originalQuaternions) {
+                    originalQuaternions[index * 4] = quat.x;
+                    originalQuaternions[index * 4 + 1] = quat.y;
+                    originalQuaternions[index * 4 + 2] = quat.z;
+                    originalQuaternions[index * 4 + 3] = quat.w;
+                }
                 // Store opacity as byte (0-255) for direct packed array writing
                 originalOpacityBytes[index] = Math.max(0, Math.min(255, Math.round(opacity * 255)));
             }
@@ -193,8 +289,8 @@ export function createCPUFallback(splatMesh, temporalData) {
     // PackedSplats format (4 uint32 per splat):
     //   word 0: [R:8][G:8][B:8][opacity:8]  (opacity in bits 24-31)
     //   word 1: [half(cx):16][half(cy):16]
-    //   word 2: [half(cz):16][packed_data:16]  (upper 16 bits: quat octahedral)
-    //   word 3: [scale_x:8][scale_y:8][scale_z:8][quat_sign:8]
+    //   word 2: [half(cz):16][quat_u:8][quat_v:8]  (octahedral axis)
+    //   word 3: [scale_x:8][scale_y:8][scale_z:8][quat_angle:8]
     function updatePositions() {
         if (!originalPositions) return;
 
@@ -202,24 +298,25 @@ export function createCPUFallback(splatMesh, temporalData) {
         if (!arr) return;
 
         const actualN = Math.min(N, originalPositions.length / 3);
+        const dt_from_ref = currentTime - 0.5;
+        motionModel.weights(dt_from_ref, motionWeights.length, motionWeights);
 
         for (let i = 0; i < actualN; i++) {
             const dt = currentTime - times[i];
             const dur = Math.max(durations[i], MIN_DURATION);
-            const ratio = dt / dur;
-            const temporalOpacity = Math.exp(-0.5 * ratio * ratio);
-
-            // Animated position: original (at t=0.5) + velocity * dt_from_ref
-            const dt_from_ref = currentTime - 0.5;
-            let cx = originalPositions[i * 3] + velocities[i * 3] * dt_from_ref;
-            let cy = originalPositions[i * 3 + 1] + velocities[i * 3 + 1] * dt_from_ref;
-            let cz = originalPositions[i * 3 + 2] + velocities[i * 3 + 2] * dt_from_ref;
-
-            if (hasAccel) {
-                const dt2 = dt_from_ref * dt_from_ref;
-                cx += 0.5 * accelerations[i * 3] * dt2;
-                cy += 0.5 * accelerations[i * 3 + 1] * dt2;
-                cz += 0.5 * accelerations[i * 3 + 2] * dt2;
+            const profile = opacityProfiles ? profilesById[opacityProfiles[i]] : sceneProfile;
+            const temporalOpacity = profile.evaluate(dt, dur, opacityParams ? opacityParams[i] : 0);
+
+            // Animated position: original (at t=0.5) + sum_k weight_k * coeff_k
+            let cx = originalPositions[i * 3];
+            let cy = originalPositions[i * 3 + 1];
+            let cz = originalPositions[i * 3 + 2];
+            for (let k = 0; k < motionCoefficients.length; k++) {
+                const coeff = motionCoefficients[k];
+                const w = motionWeights[k];
+                cx += coeff[i * 3] * w;
+                cy += coeff[i * 3 + 1] * w;
+                cz += coeff[i * 3 + 2] * w;
             }
 
             // Write center as float16 into packed array
@@ -227,6 +324,28 @@ export function createCPUFallback(splatMesh, temporalData) {
             arr[base + 1] = toHalf(cx) | (toHalf(cy) << 16);
             arr[base + 2] = (arr[base + 2] & 0xFFFF0000) | toHalf(cz);
 
+            // Rotate orientation by axis-angle angvel * dt_from_ref (left-multiplied,
+            // matching transformQuat in the Dyno graph) and re-encode it
+            if (hasAngvel) {
+                const rx = angularVelocities[i * 3] * dt_from_ref;
+                const ry = angularVelocities[i * 3 + 1] * dt_from_ref;
+                const rz = angularVelocities[i * 3 + 2] * dt_from_ref;
+                const angle = Math.sqrt(rx * rx + ry * ry + rz * rz);
+                const s = Math.sin(0.5 * angle) / Math.max(angle, MIN_ROTATION_ANGLE);
+                const dx = rx * s, dy = ry * s, dz = rz * s, dw = Math.cos(0.5 * angle);
+
+                const qx = originalQuaternions[i * 4];
+                const qy = originalQuaternions[i * 4 + 1];
+                const qz = originalQuaternions[i * 4 + 2];
+                const qw = originalQuaternions[i * 4 + 3];
+                utils.setPackedSplatQuat(arr, i,
+                    dw * qx + dx * qw + dy * qz - dz * qy,
+                    dw * qy - dx * qz + dy * qw + dz * qx,
+                    dw * qz + dx * qy - dy * qx + dz * qw,
+                    dw * qw - dx * qx - dy * qy - dz * qz,
+                );
+            }
+
             // Write opacity byte (bits 24-31 of word 0, preserving RGB in bits 0-23)
             const opByte = Math.max(0, Math.min(255,
                 Math.round(originalOpacityBytes[i] * temporalOpacity)));
@@ -237,13 +356,14 @@ export function createCPUFallback(splatMesh, temporalData) {
     }
 
     // Register onFrame callback
-    splatMesh.onFrame = ({ mesh, time, deltaTime }) => {
+    function onFrame() {
         captureOriginals();
         if (needsUpdate) {
             updatePositions();
             needsUpdate = false;
         }
-    };
+    }
+    splatMesh.onFrame = onFrame;
 
     return {
         setTime(t) {
@@ -254,74 +374,217 @@ export function createCPUFallback(splatMesh, temporalData) {
         },
         get currentTime() {
             return currentTime;
-        }
+        },
+        /** Unhook from the mesh and drop the captured originals. */
+        dispose() {
+            if (splatMesh.onFrame === onFrame) {
+                splatMesh.onFrame = undefined;
+            }
+            originalPositions = null;
+            originalQuaternions = null;
+            originalOpacityBytes = null;
+        },
     };
 }
 
+// Defined with the manifest schema, which validates it
+export { LoopMode };
+
 /**
  * Temporal playback controller.
  *
  * Manages play/pause, speed, looping, and normalized time mapping.
  * Design mirrors Unity TimeController pattern.
+ *
+ * Normalized time [0, 1] spans the playback range in model time. An optional
+ * in/out range (also normalized) limits where playback loops, and an optional
+ * capture duration + frame rate turn model time into seconds and frames.
  */
 export class TemporalController {
     /**
      * @param {TemporalData} data
      * @param {object} modifier - from createTemporalModifier()
+     * @param {object} [playback] - manifest overrides for the sidecar's playback metadata
+     * @param {number[]|'full'} [playback.range] - [min, max] model time, or 'full' for
+     *   the sidecar's timeMin/timeMax extents
+     * @param {number} [playback.duration] - seconds of real time for model time [0, 1]
+     * @param {number} [playback.frameRate] - source frame rate
+     * @param {number} [playback.in] - initial in point (normalized)
+     * @param {number} [playback.out] - initial out point (normalized)
+     * @param {number} [playback.time=0.5] - initial normalized time
+     * @param {number} [playback.speed=0.3] - initial speed multiplier
+     * @param {string} [playback.loop='loop'] - a LoopMode value
      */
-    constructor(data, modifier) {
+    constructor(data, modifier, playback = {}) {
         this.data = data;
         this.modifier = modifier;
         this.isPlaying = false;
-        this.loop = true;
-        this.speed = 0.3;
+        this.speed = playback.speed ?? 0.3;
         this.normalizedTime = 0.5; // [0, 1]
 
-        // Use [0, 1] as the playback range (the training time range).
+        this.loopMode = playback.loop ?? LoopMode.LOOP;
+        if (!Object.values(LoopMode).includes(this.loopMode)) {
+            throw new Error(`Invalid loop mode "${this.loopMode}" (expected ${Object.values(LoopMode).join(', ')})`);
+        }
+        /** +1 playing forward, -1 playing backward (ping-pong) */
+        this.direction = 1;
+
+        // Default to [0, 1] as the playback range (the training time range).
         // data.timeMin/timeMax are extreme outlier splat birth times that
-        // extend well beyond the useful range and would waste the slider.
+        // extend well beyond the useful range and would waste the slider, so
+        // they are only used when explicitly requested with range: 'full'.
         this.playbackMin = 0.0;
         this.playbackMax = 1.0;
+        if (playback.range === 'full') {
+            this.playbackMin = data.timeMin;
+            this.playbackMax = data.timeMax;
+        } else if (Array.isArray(playback.range)) {
+            [this.playbackMin, this.playbackMax] = playback.range;
+        } else if (data.playbackMin !== null) {
+            this.playbackMin = data.playbackMin;
+            this.playbackMax = data.playbackMax;
+        }
+        if (!(this.playbackMax > this.playbackMin)) {
+            throw new Error(`Invalid playback range [${this.playbackMin}, ${this.playbackMax}]`);
+        }
+
+        /** Seconds of real time covered by model time [0, 1], or null if unknown */
+        this.captureDuration = playback.duration ?? data.captureDuration;
+        /** Source frame rate, or null if unknown */
+        this.frameRate = playback.frameRate ?? data.frameRate;
+
+        // Normalized in/out points that bound looping playback
+        this.inPoint = 0.0;
+        this.outPoint = 1.0;
+        this.setInOut(playback.in ?? 0.0, playback.out ?? 1.0);
+
+        this.setNormalizedTime(playback.time ?? 0.5);
+    }
+
+    /** Model time for the current normalized time. */
+    get actualTime() {
+        return this.playbackMin + this.normalizedTime * (this.playbackMax - this.playbackMin);
+    }
+
+    /** Real-world seconds for the current time, or null without a capture duration. */
+    get seconds() {
+        return this.captureDuration ? this.actualTime * this.captureDuration : null;
+    }
+
+    /** Source frame number for the current time, or null without duration + frame rate. */
+    get frame() {
+        const seconds = this.seconds;
+        return (seconds !== null && this.frameRate) ? Math.round(seconds * this.frameRate) : null;
+    }
+
+    /** Current time as { actualTime, seconds, frame } for display. */
+    get timecode() {
+        return { actualTime: this.actualTime, seconds: this.seconds, frame: this.frame };
+    }
+
+    /** Normalized time units per second at the current speed. */
+    get _rate() {
+        const timeRange = this.playbackMax - this.playbackMin;
+        const unitsPerSecond = this.captureDuration ? 1 / this.captureDuration : 1;
+        return this.speed * unitsPerSecond / Math.max(timeRange, 0.001);
+    }
+
+    /** Seconds one pass from the in point to the out point takes (Infinity at speed 0). */
+    get passDuration() {
+        const rate = this._rate;
+        return rate > 0 ? (this.outPoint - this.inPoint) / rate : Infinity;
     }
 
     /** Set normalized time [0, 1] and update modifier. */
     setNormalizedTime(t) {
         this.normalizedTime = Math.max(0, Math.min(1, t));
-        const actualTime = this.playbackMin +
-            this.normalizedTime * (this.playbackMax - this.playbackMin);
-        this.modifier.setTime(actualTime);
+        this.modifier.setTime(this.actualTime);
     }
 
-    /** Advance time by dt seconds. */
+    /**
+     * Set the normalized in/out range that playback loops within.
+     * Points are clamped to [0, 1] and swapped if reversed.
+     */
+    setInOut(inPoint, outPoint) {
+        let a = Math.max(0, Math.min(1, inPoint));
+        let b = Math.max(0, Math.min(1, outPoint));
+        if (b < a) [a, b] = [b, a];
+        if (b - a < 0.001) {
+            // Degenerate range: keep the previous one rather than freezing playback
+            return;
+        }
+        this.inPoint = a;
+        this.outPoint = b;
+    }
+
+    /** Set the in point, resetting the out point if it would end up before it. */
+    setInPoint(t) {
+        this.setInOut(t, t < this.outPoint ? this.outPoint : 1.0);
+    }
+
+    /** Set the out point, resetting the in point if it would end up after it. */
+    setOutPoint(t) {
+        this.setInOut(t > this.inPoint ? this.inPoint : 0.0, t);
+    }
+
+    /** Clear the in/out range back to the full playback range. */
+    clearInOut() {
+        this.inPoint = 0.0;
+        this.outPoint = 1.0;
+    }
+
+    /**
+     * Advance time by dt seconds.
+     *
+     * With a known capture duration, speed 1.0 is real time; otherwise speed
+     * is in model-time units per second as before.
+     */
     update(dt) {
         if (!this.isPlaying) return;
 
-        const timeRange = this.playbackMax - this.playbackMin;
-        const advance = dt * this.speed / Math.max(timeRange, 0.001);
-        this.normalizedTime += advance;
+        this.normalizedTime += dt * this._rate * this.direction;
 
-        if (this.normalizedTime > 1.0) {
-            if (this.loop) {
-                this.normalizedTime -= 1.0;
+        const span = this.outPoint - this.inPoint;
+        if (this.normalizedTime > this.outPoint) {
+            const excess = this.normalizedTime - this.outPoint;
+            if (this.loopMode === LoopMode.LOOP) {
+                this.normalizedTime = this.inPoint + excess % span;
+            } else if (this.loopMode === LoopMode.PINGPONG) {
+                this.normalizedTime = this.outPoint - excess % span;
+                this.direction = -1;
             } else {
-                this.normalizedTime = 1.0;
+                this.normalizedTime = this.outPoint;
                 this.isPlaying = false;
             }
-        } else if (this.normalizedTime < 0.0) {
-            if (this.loop) {
-                this.normalizedTime += 1.0;
+        } else if (this.normalizedTime < this.inPoint) {
+            if (this.direction < 0) {
+                // Ping-pong bounce off the in point
+                this.normalizedTime = this.inPoint + (this.inPoint - this.normalizedTime) % span;
+                this.direction = 1;
             } else {
-                this.normalizedTime = 0.0;
-                this.isPlaying = false;
+                // Scrubbed before the in point: resume playback from it
+                this.normalizedTime = this.inPoint;
             }
         }
 
-        const actualTime = this.playbackMin +
-            this.normalizedTime * (this.playbackMax - this.playbackMin);
-        this.modifier.setTime(actualTime);
+        this.modifier.setTime(this.actualTime);
+    }
+
+    /** Start playing; a finished one-shot playback restarts from the in point. */
+    play() {
+        if (this.loopMode === LoopMode.ONCE && this.normalizedTime >= this.outPoint) {
+            this.setNormalizedTime(this.inPoint);
+        }
+        this.isPlaying = true;
     }
 
-    play() { this.isPlaying = true; }
     pause() { this.isPlaying = false; }
-    togglePlayPause() { this.isPlaying = !this.isPlaying; }
+
+    togglePlayPause() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
 }
@@ -0,0 +1,99 @@
+/**
+ * Opacity transitions between scenes.
+ *
+ * Fades are advanced from the render loop rather than requestAnimationFrame,
+ * which does not run during an XR session.
+ */
+
+/** Default fade length in seconds. */
+const DEFAULT_FADE_SECONDS = 0.8;
+
+/** Longest frame step a fade will take, so a load hitch doesn't skip it. */
+const MAX_FADE_STEP = 1 / 30;
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Fades the outgoing scene out and the incoming one in.
+ *
+ * Overlapped fades blend both scenes. Sequential fades go through black,
+ * which is used when the camera jumps to the new scene's start pose: the jump
+ * happens at the midpoint, when neither scene is visible.
+ */
+export class CrossFade {
+    /**
+     * @param {number} [duration] - seconds for the whole transition
+     */
+    constructor(duration = DEFAULT_FADE_SECONDS) {
+        this.duration = duration;
+        this._fade = null;
+    }
+
+    /** Whether a transition is running. */
+    get active() {
+        return this._fade !== null;
+    }
+
+    /**
+     * Start a transition, completing any running one first.
+     *
+     * @param {object} fade
+     * @param {function(number): void} fade.fadeIn - sets the incoming scene's opacity
+     * @param {function(number): void} [fade.fadeOut] - sets the outgoing scene's opacity
+     * @param {boolean} [fade.sequential=false] - fade out fully before fading in
+     * @param {function(): void} [fade.onMidpoint] - sequential only: called when
+     *   both scenes are invisible
+     * @param {function(): void} [fade.onComplete] - called once the fade is done
+     *   (e.g. to dispose the outgoing scene)
+     */
+    start(fade) {
+        this.finish();
+        this._fade = { ...fade, elapsed: 0, midpointDone: false };
+        fade.fadeIn(0);
+        if (fade.fadeOut) fade.fadeOut(1);
+    }
+
+    /**
+     * Advance the running transition.
+     * @param {number} dt - seconds since the last frame
+     */
+    update(dt) {
+        const fade = this._fade;
+        if (!fade) return;
+
+        fade.elapsed += Math.min(dt, MAX_FADE_STEP);
+        const t = Math.min(1, fade.elapsed / this.duration);
+
+        if (fade.sequential) {
+            if (t < 0.5) {
+                if (fade.fadeOut) fade.fadeOut(1 - smoothstep(t * 2));
+                return;
+            }
+            this._midpoint(fade);
+            fade.fadeIn(smoothstep((t - 0.5) * 2));
+        } else {
+            const eased = smoothstep(t);
+            if (fade.fadeOut) fade.fadeOut(1 - eased);
+            fade.fadeIn(eased);
+        }
+
+        if (t >= 1) this.finish();
+    }
+
+    /** Jump to the end of the running transition. */
+    finish() {
+        const fade = this._fade;
+        if (!fade) return;
+        this._fade = null;
+        if (fade.fadeOut) fade.fadeOut(0);
+        this._midpoint(fade);
+        fade.fadeIn(1);
+        if (fade.onComplete) fade.onComplete();
+    }
+
+    _midpoint(fade) {
+        if (fade.midpointDone) return;
+        fade.midpointDone = true;
+        if (fade.sequential && fade.onMidpoint) fade.onMidpoint();
+    }
+}
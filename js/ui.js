@@ -7,19 +7,60 @@ export class UI {
         this.overlay = document.getElementById('loading-overlay');
         this.progressFill = document.getElementById('progress-fill');
         this.loadingStatus = document.getElementById('loading-status');
+        this.loadingActions = document.getElementById('loading-actions');
         this.hud = document.getElementById('hud');
         this.playBtn = document.getElementById('play-btn');
         this.timeSlider = document.getElementById('time-slider');
         this.timeDisplay = document.getElementById('time-display');
         this.fpsDisplay = document.getElementById('fps-display');
         this.splatCountEl = document.getElementById('splat-count');
+        this.textureBytesEl = document.getElementById('texture-bytes');
+        this.memoryStatsEl = document.getElementById('memory-stats');
+        this.sourceStatusEl = document.getElementById('source-status');
         this.speedSlider = document.getElementById('speed-slider');
         this.speedLabel = document.getElementById('speed-label');
+        this.inBtn = document.getElementById('in-btn');
+        this.outBtn = document.getElementById('out-btn');
+        this.clearRangeBtn = document.getElementById('clear-range-btn');
+
+        // Camera path elements
+        this.pathKeyBtn = document.getElementById('path-key-btn');
+        this.pathUndoBtn = document.getElementById('path-undo-btn');
+        this.pathPlayBtn = document.getElementById('path-play-btn');
+        this.pathClearBtn = document.getElementById('path-clear-btn');
+        this.pathInfo = document.getElementById('path-info');
+        this.pathSaveBtn = document.getElementById('path-save-btn');
+        this.pathLoadBtn = document.getElementById('path-load-btn');
+        this.pathFileInput = document.getElementById('path-file-input');
+
+        // Export elements
+        this.exportFormat = document.getElementById('export-format');
+        this.exportSize = document.getElementById('export-size');
+        this.exportFps = document.getElementById('export-fps');
+        this.exportDuration = document.getElementById('export-duration');
+        this.exportTransparent = document.getElementById('export-transparent');
+        this.exportBtn = document.getElementById('export-btn');
+        this.screenshotBtn = document.getElementById('screenshot-btn');
+        this.exportStatus = document.getElementById('export-status');
+        if (typeof VideoEncoder === 'undefined') {
+            // No WebCodecs: only the PNG sequence is available
+            this.exportFormat.querySelector('option[value="webm"]').disabled = true;
+            this.exportFormat.value = 'png';
+        }
 
         // Carousel elements
         this.prevBtn = document.getElementById('prev-scene');
         this.nextBtn = document.getElementById('next-scene');
         this.sceneLabel = document.getElementById('scene-label');
+        this.sceneThumb = document.getElementById('scene-thumb');
+        this.cameraPoseBtn = document.getElementById('camera-pose-btn');
+        this.cameraModeBtn = document.getElementById('camera-mode-btn');
+        this.turntableBtn = document.getElementById('turntable-btn');
+        this.copyLinkBtn = document.getElementById('copy-link-btn');
+        this.arPlaceBtn = document.getElementById('ar-place-btn');
+
+        // Next to the VR button
+        this.arBtn = document.getElementById('ar-btn');
 
         /** @type {function|null} callback(normalizedTime: number) */
         this.onTimeChange = null;
@@ -29,10 +70,59 @@ export class UI {
         this.onSpeedChange = null;
         /** @type {function|null} callback(index: number) */
         this.onSceneChange = null;
+        /** @type {function|null} callback(keepPose: boolean) — camera behaviour on scene switch */
+        this.onKeepPoseChange = null;
+        /** @type {function|null} callback(mode: 'fpv'|'orbit') */
+        this.onCameraModeChange = null;
+        /** @type {function|null} callback(enabled: boolean) — orbit auto-rotation */
+        this.onTurntableChange = null;
+        /** @type {function|null} callback() — re-center the orbit on the scene */
+        this.onFocus = null;
+        /** @type {function|null} callback() — copy a deep link to the current view */
+        this.onCopyLink = null;
+        /** @type {function|null} callback() — enter or leave passthrough AR */
+        this.onToggleAR = null;
+        /** @type {function|null} callback() — AR: pick another surface for the scene */
+        this.onARPlace = null;
+        /** @type {function|null} callback() — set loop in point at current time */
+        this.onSetIn = null;
+        /** @type {function|null} callback() — set loop out point at current time */
+        this.onSetOut = null;
+        /** @type {function|null} callback() */
+        this.onClearRange = null;
+        /** @type {function|null} callback() — add a camera path keyframe */
+        this.onPathAddKey = null;
+        /** @type {function|null} callback() — remove the last keyframe */
+        this.onPathUndo = null;
+        /** @type {function|null} callback() — play or stop the camera path */
+        this.onPathPlay = null;
+        /** @type {function|null} callback() */
+        this.onPathClear = null;
+        /** @type {function|null} callback() — download the path */
+        this.onPathSave = null;
+        /** @type {function|null} callback(file: File) */
+        this.onPathLoad = null;
+        /** @type {function|null} callback(settings: object) — see getExportSettings() */
+        this.onExport = null;
+        /** @type {function|null} callback() */
+        this.onExportCancel = null;
+        /** @type {function|null} callback(settings: object) — same settings as onExport */
+        this.onScreenshot = null;
 
         this._scenes = [];
         this._currentSceneIndex = 0;
         this._switching = false;
+        this._keepPose = true;
+        this._cameraMode = 'fpv';
+        this._turntable = false;
+        this._copyLinkTimer = null;
+        this._exporting = false;
+
+        // Last shown playback state and readouts, mirrored by the VR panel
+        this._time = { normalizedTime: 0, isPlaying: false, label: '' };
+        this._speed = 1;
+        this._fps = null;
+        this._splatCount = null;
 
         // FPS tracking
         this._frameTimes = [];
@@ -54,30 +144,215 @@ export class UI {
         this.speedSlider.addEventListener('input', () => {
             const speed = parseInt(this.speedSlider.value) / 100;
             this.speedLabel.textContent = `${speed.toFixed(1)}x`;
+            this._speed = speed;
             if (this.onSpeedChange) this.onSpeedChange(speed);
         });
 
-        this.prevBtn.addEventListener('click', () => {
-            if (this._switching || this._scenes.length === 0) return;
-            this._currentSceneIndex = (this._currentSceneIndex - 1 + this._scenes.length) % this._scenes.length;
-            this._updateCarousel();
-            if (this.onSceneChange) this.onSceneChange(this._currentSceneIndex);
+        this.inBtn.addEventListener('click', () => {
+            if (this.onSetIn) this.onSetIn();
         });
 
-        this.nextBtn.addEventListener('click', () => {
-            if (this._switching || this._scenes.length === 0) return;
-            this._currentSceneIndex = (this._currentSceneIndex + 1) % this._scenes.length;
-            this._updateCarousel();
-            if (this.onSceneChange) this.onSceneChange(this._currentSceneIndex);
+        this.outBtn.addEventListener('click', () => {
+            if (this.onSetOut) this.onSetOut();
+        });
+
+        this.clearRangeBtn.addEventListener('click', () => {
+            if (this.onClearRange) this.onClearRange();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            // Letters typed into HUD fields and selects aren't shortcuts
+            if (e.repeat || isFormControl(e.target)) return;
+            if (e.code === 'KeyI' && this.onSetIn) this.onSetIn();
+            if (e.code === 'KeyO' && this.onSetOut) this.onSetOut();
+            if (e.code === 'KeyK' && this.onPathAddKey) this.onPathAddKey();
+            if (e.code === 'KeyP' && this.onPathPlay) this.onPathPlay();
+            if (e.code === 'KeyV' && this.onCameraModeChange) {
+                this.onCameraModeChange(this._cameraMode === 'orbit' ? 'fpv' : 'orbit');
+            }
+            if (e.code === 'KeyT' && this._cameraMode === 'orbit') this._toggleTurntable();
+            if (e.code === 'KeyF' && this._cameraMode === 'orbit' && this.onFocus) this.onFocus();
+            if (e.code === 'KeyC' && !e.ctrlKey && !e.metaKey && this.onScreenshot) {
+                this.onScreenshot(this.getExportSettings());
+            }
+        });
+
+        this.pathKeyBtn.addEventListener('click', () => {
+            if (this.onPathAddKey) this.onPathAddKey();
+        });
+        this.pathUndoBtn.addEventListener('click', () => {
+            if (this.onPathUndo) this.onPathUndo();
+        });
+        this.pathPlayBtn.addEventListener('click', () => {
+            if (this.onPathPlay) this.onPathPlay();
+        });
+        this.pathClearBtn.addEventListener('click', () => {
+            if (this.onPathClear) this.onPathClear();
+        });
+        this.pathSaveBtn.addEventListener('click', () => {
+            if (this.onPathSave) this.onPathSave();
+        });
+        this.exportBtn.addEventListener('click', () => {
+            if (this._exporting) {
+                if (this.onExportCancel) this.onExportCancel();
+            } else if (this.onExport) {
+                this.onExport(this.getExportSettings());
+            }
+        });
+
+        this.screenshotBtn.addEventListener('click', () => {
+            if (this.onScreenshot) this.onScreenshot(this.getExportSettings());
+        });
+
+        this.pathLoadBtn.addEventListener('click', () => this.pathFileInput.click());
+        this.pathFileInput.addEventListener('change', () => {
+            const file = this.pathFileInput.files[0];
+            this.pathFileInput.value = '';
+            if (file && this.onPathLoad) this.onPathLoad(file);
+        });
+
+        this.prevBtn.addEventListener('click', () => this.stepScene(-1));
+        this.nextBtn.addEventListener('click', () => this.stepScene(1));
+
+        this.copyLinkBtn.addEventListener('click', () => {
+            if (this.onCopyLink) this.onCopyLink();
+        });
+
+        this.arBtn.addEventListener('click', () => {
+            if (this.onToggleAR) this.onToggleAR();
+        });
+        this.arPlaceBtn.addEventListener('click', () => {
+            if (this.onARPlace) this.onARPlace();
+        });
+        // On phones the HUD stays over the camera view in AR; taps on it
+        // shouldn't also count as a tap to place the scene
+        this.hud.addEventListener('beforexrselect', (e) => e.preventDefault());
+
+        this.cameraModeBtn.addEventListener('click', () => {
+            if (this.onCameraModeChange) this.onCameraModeChange(this._cameraMode === 'orbit' ? 'fpv' : 'orbit');
         });
+        this.turntableBtn.addEventListener('click', () => this._toggleTurntable());
+
+        this.cameraPoseBtn.addEventListener('click', () => {
+            this.setKeepPose(!this._keepPose);
+            if (this.onKeepPoseChange) this.onKeepPoseChange(this._keepPose);
+        });
+    }
+
+    _toggleTurntable() {
+        this._turntable = !this._turntable;
+        this.turntableBtn.classList.toggle('active', this._turntable);
+        if (this.onTurntableChange) this.onTurntableChange(this._turntable);
+    }
+
+    /**
+     * Show the active camera mode; the turntable button only applies to orbit.
+     * @param {'fpv'|'orbit'} mode
+     */
+    setCameraMode(mode) {
+        this._cameraMode = mode;
+        this.cameraModeBtn.classList.toggle('active', mode === 'orbit');
+        this.cameraModeBtn.title = mode === 'orbit'
+            ? 'Orbit mode: drag to orbit, scroll to zoom, right-drag to pan, F to re-center (V for first person)'
+            : 'Orbit mode (V)';
+        this.turntableBtn.classList.toggle('hidden', mode !== 'orbit');
+    }
+
+    /**
+     * Offer AR next to the VR button when the device supports it.
+     * @param {boolean} available
+     */
+    setARAvailable(available) {
+        this.arBtn.classList.toggle('hidden', !available);
+        this.arBtn.parentElement.classList.toggle('has-ar', available);
+    }
+
+    /** Show whether an AR session is running. */
+    setARActive(active) {
+        this.arBtn.textContent = active ? 'EXIT AR' : 'ENTER AR';
+        this.arPlaceBtn.classList.toggle('hidden', !active);
+    }
+
+    /**
+     * Show whether scene switches keep the camera where it is (true) or move
+     * it to each scene's start pose (false).
+     * @param {boolean} keepPose
+     */
+    setKeepPose(keepPose) {
+        this._keepPose = keepPose;
+        this.cameraPoseBtn.classList.toggle('active', !keepPose);
+        this.cameraPoseBtn.title = keepPose
+            ? 'Keep camera position when switching scenes'
+            : 'Move camera to each scene\'s start position';
     }
 
-    setScenes(scenes) {
+    /**
+     * @param {object[]} scenes - normalized manifest entries
+     * @param {number} [index=0] - scene shown first
+     */
+    setScenes(scenes, index = 0) {
         this._scenes = scenes;
-        this._currentSceneIndex = 0;
+        this._currentSceneIndex = index;
+        this._updateCarousel();
+    }
+
+    /**
+     * Move the carousel by `delta` scenes and fire onSceneChange, as the
+     * prev/next buttons do. Ignored while a scene is loading or exporting.
+     * @param {number} delta
+     */
+    stepScene(delta) {
+        if (this._switching || this._exporting || this._scenes.length === 0) return;
+        const count = this._scenes.length;
+        this._currentSceneIndex = (((this._currentSceneIndex + delta) % count) + count) % count;
+        this._updateCarousel();
+        if (this.onSceneChange) this.onSceneChange(this._currentSceneIndex);
+    }
+
+    /**
+     * Snapshot of what the HUD shows, for views that mirror it (the VR panel).
+     * @returns {{sceneTitle: string, sceneIndex: number, sceneCount: number,
+     *   switching: boolean, exporting: boolean, normalizedTime: number,
+     *   isPlaying: boolean, timeLabel: string, speed: number,
+     *   fps: number|null, splatCount: number|null}}
+     */
+    getState() {
+        const scene = this._scenes[this._currentSceneIndex];
+        return {
+            sceneTitle: scene?.title ?? '',
+            sceneIndex: this._currentSceneIndex,
+            sceneCount: this._scenes.length,
+            switching: this._switching,
+            exporting: this._exporting,
+            normalizedTime: this._time.normalizedTime,
+            isPlaying: this._time.isPlaying,
+            timeLabel: this._time.label,
+            speed: this._speed,
+            fps: this._fps,
+            splatCount: this._splatCount,
+        };
+    }
+
+    /** Show a scene as current without firing onSceneChange (e.g. history navigation). */
+    selectScene(index) {
+        this._currentSceneIndex = index;
         this._updateCarousel();
     }
 
+    /**
+     * Brief feedback on the copy-link button.
+     * @param {boolean} copied - false when the clipboard was unavailable
+     */
+    showLinkCopied(copied) {
+        this.copyLinkBtn.classList.add(copied ? 'active' : 'failed');
+        this.copyLinkBtn.title = copied ? 'Link copied' : 'Could not copy link';
+        clearTimeout(this._copyLinkTimer);
+        this._copyLinkTimer = setTimeout(() => {
+            this.copyLinkBtn.classList.remove('active', 'failed');
+            this.copyLinkBtn.title = 'Copy link to this view';
+        }, 1500);
+    }
+
     setSceneSwitching(isSwitching) {
         this._switching = isSwitching;
         this.prevBtn.disabled = isSwitching;
@@ -91,47 +366,227 @@ export class UI {
 
     _updateCarousel() {
         if (this._scenes.length === 0) return;
+        const count = this._scenes.length;
         const scene = this._scenes[this._currentSceneIndex];
-        this.sceneLabel.textContent = `${scene.name} (${this._currentSceneIndex + 1}/${this._scenes.length})`;
+        this.sceneLabel.textContent = `${scene.title} (${this._currentSceneIndex + 1}/${count})`;
+        this.sceneLabel.title = scene.description ?? '';
+
+        if (scene.thumbnail) {
+            this.sceneThumb.src = scene.thumbnail;
+            this.sceneThumb.classList.remove('hidden');
+        } else {
+            this.sceneThumb.removeAttribute('src');
+            this.sceneThumb.classList.add('hidden');
+        }
+
+        const prev = this._scenes[(this._currentSceneIndex - 1 + count) % count];
+        const next = this._scenes[(this._currentSceneIndex + 1) % count];
+        this.prevBtn.title = `Previous scene: ${prev.title}`;
+        this.nextBtn.title = `Next scene: ${next.title}`;
     }
 
     showLoading(message) {
         this.overlay.classList.remove('hidden');
+        this.overlay.classList.remove('error');
         this.loadingStatus.textContent = message;
+        this.loadingActions.replaceChildren();
+    }
+
+    /**
+     * Show an error on the loading overlay and wait for the user to pick an action.
+     * @param {string} message - may contain newlines
+     * @param {{id: string, label: string}[]} actions
+     * @returns {Promise<string>} id of the chosen action
+     */
+    showError(message, actions) {
+        this.showLoading(message);
+        this.overlay.classList.add('error');
+        return new Promise((resolve) => {
+            for (const action of actions) {
+                const btn = document.createElement('button');
+                btn.textContent = action.label;
+                btn.addEventListener('click', () => {
+                    this.loadingActions.replaceChildren();
+                    this.overlay.classList.remove('error');
+                    resolve(action.id);
+                });
+                this.loadingActions.appendChild(btn);
+            }
+        });
     }
 
     setProgress(fraction) {
         this.progressFill.style.width = `${Math.round(fraction * 100)}%`;
     }
 
+    /**
+     * Let a loading preview show through the overlay: the status and progress
+     * bar move to the bottom of the screen instead of covering the scene.
+     */
+    setPreviewing(previewing) {
+        this.overlay.classList.toggle('previewing', previewing);
+    }
+
     hideLoading() {
         this.overlay.classList.add('hidden');
+        this.overlay.classList.remove('previewing');
         this.hud.classList.remove('hidden');
     }
 
     setSplatCount(n) {
+        this._splatCount = n;
         this.splatCountEl.textContent = `${n.toLocaleString()} splats`;
     }
 
+    /**
+     * Show the temporal texture upload size, or hide it for static scenes.
+     * @param {number|null} bytes
+     */
+    setTextureBytes(bytes) {
+        this.textureBytesEl.classList.toggle('hidden', bytes === null);
+        if (bytes !== null) {
+            this.textureBytesEl.textContent = `${(bytes / (1024 * 1024)).toFixed(1)} MB temporal`;
+        }
+    }
+
+    /**
+     * Flag scene sources that failed or had malformed entries; the tooltip
+     * lists the details.
+     * @param {object[]} reports - from discoverScenes(), already filtered to problems
+     */
+    setSourceReports(reports) {
+        this.sourceStatusEl.classList.toggle('hidden', reports.length === 0);
+        if (reports.length === 0) return;
+        this.sourceStatusEl.textContent = `\u26a0 ${reports.length} scene source${reports.length > 1 ? 's' : ''}`;
+        this.sourceStatusEl.title = reports.map((r) => {
+            const lines = [`${r.source}: ${r.error ?? `${r.count} scenes`}`];
+            for (const message of r.skipped ?? []) lines.push(`  skipped: ${message}`);
+            return lines.join('\n');
+        }).join('\n');
+    }
+
     /**
      * Update time display from temporal controller state.
      * @param {number} normalizedTime [0, 1]
      * @param {boolean} isPlaying
+     * @param {object} [timecode] - { actualTime, seconds, frame } from TemporalController;
+     *   seconds/frame are null when the capture has no duration/frame rate
      */
-    updateTime(normalizedTime, isPlaying) {
+    updateTime(normalizedTime, isPlaying, timecode = null) {
+        const label = formatTimecode(normalizedTime, timecode);
+        this._time = { normalizedTime, isPlaying, label };
         this.timeSlider.value = Math.round(normalizedTime * 1000);
-        this.timeDisplay.textContent = `t=${normalizedTime.toFixed(3)}`;
+        this.timeDisplay.textContent = label;
         this.playBtn.innerHTML = isPlaying
             ? '<svg width="12" height="14" viewBox="0 0 12 14"><rect x="1" y="0" width="3" height="14" fill="currentColor"/><rect x="8" y="0" width="3" height="14" fill="currentColor"/></svg>'
             : '<svg width="12" height="14" viewBox="0 0 12 14"><path d="M2 0l10 7-10 7z" fill="currentColor"/></svg>';
     }
 
+    /**
+     * Show the camera path's size and playback state.
+     * @param {number} keyCount
+     * @param {number} duration - seconds
+     * @param {boolean} playing
+     */
+    updatePath(keyCount, duration, playing) {
+        this.pathInfo.textContent = keyCount === 0
+            ? '0 keys'
+            : `${keyCount} key${keyCount > 1 ? 's' : ''} ${duration.toFixed(1)}s`;
+        this.pathPlayBtn.classList.toggle('active', playing);
+        this.pathPlayBtn.innerHTML = playing ? '&#9632;' : '&#9654;';
+        this.pathPlayBtn.disabled = keyCount < 2 && !playing;
+        this.pathUndoBtn.disabled = keyCount === 0 || playing;
+        this.pathClearBtn.disabled = keyCount === 0 || playing;
+    }
+
+    /**
+     * Export settings chosen in the HUD. "Window" resolves to the canvas size
+     * in device pixels (rounded down to even, as video encoders need).
+     * @returns {{format: string, width: number, height: number, fps: number,
+     *   transparent: boolean, duration?: number}} duration is omitted when left on auto
+     */
+    getExportSettings() {
+        let width, height;
+        if (this.exportSize.value === 'window') {
+            const ratio = Math.min(window.devicePixelRatio, 2);
+            width = Math.floor(window.innerWidth * ratio / 2) * 2;
+            height = Math.floor(window.innerHeight * ratio / 2) * 2;
+        } else {
+            [width, height] = this.exportSize.value.split('x').map(Number);
+        }
+        const settings = {
+            format: this.exportFormat.value,
+            width,
+            height,
+            fps: Number(this.exportFps.value),
+            transparent: this.exportTransparent.checked,
+        };
+        const duration = parseFloat(this.exportDuration.value);
+        if (duration > 0) settings.duration = duration;
+        return settings;
+    }
+
+    /** Switch the export button between Export and Cancel. */
+    setExporting(exporting) {
+        this._exporting = exporting;
+        this.exportBtn.textContent = exporting ? 'Cancel' : 'Export';
+        // The export owns the scene, camera and time until it finishes
+        this.prevBtn.disabled = exporting || this._switching;
+        this.nextBtn.disabled = exporting || this._switching;
+        this.pathPlayBtn.disabled = exporting;
+        this.pathKeyBtn.disabled = exporting;
+        this.screenshotBtn.disabled = exporting;
+        for (const el of [this.exportFormat, this.exportSize, this.exportFps, this.exportDuration, this.exportTransparent]) {
+            el.disabled = exporting;
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [failed=false]
+     */
+    setExportStatus(text, failed = false) {
+        this.exportStatus.textContent = text;
+        this.exportStatus.classList.toggle('failed', failed);
+    }
+
+    /**
+     * Show the loop in/out range on the time slider.
+     * @param {number} inPoint normalized [0, 1]
+     * @param {number} outPoint normalized [0, 1]
+     */
+    setLoopRange(inPoint, outPoint) {
+        const isFull = inPoint <= 0 && outPoint >= 1;
+        this.timeSlider.classList.toggle('has-range', !isFull);
+        this.timeSlider.style.setProperty('--range-in', `${(inPoint * 100).toFixed(1)}%`);
+        this.timeSlider.style.setProperty('--range-out', `${(outPoint * 100).toFixed(1)}%`);
+        this.clearRangeBtn.classList.toggle('hidden', isFull);
+    }
+
+    /** Speed last shown on the slider. */
+    get speed() {
+        return this._speed;
+    }
+
     /** Sync speed slider from external changes (e.g. VR controller). */
     updateSpeed(speed) {
+        this._speed = speed;
         this.speedSlider.value = Math.round(speed * 100);
         this.speedLabel.textContent = `${speed.toFixed(1)}x`;
     }
 
+    /**
+     * Show live GPU resource counts (debug). Cheap to call every frame.
+     * @param {{textures: number, geometries: number}} memory - renderer.info.memory
+     */
+    updateMemoryStats(memory) {
+        const text = `${memory.textures} tex / ${memory.geometries} geo`;
+        if (this.memoryStatsEl.textContent !== text) {
+            this.memoryStatsEl.textContent = text;
+        }
+        this.memoryStatsEl.classList.remove('hidden');
+    }
+
     /** Call each frame to track FPS. */
     updateFPS() {
         const now = performance.now();
@@ -144,7 +599,34 @@ export class UI {
         // Update display every 30 frames
         if (this._frameTimes.length % 30 === 0) {
             const avg = this._frameTimes.reduce((a, b) => a + b) / this._frameTimes.length;
-            this.fpsDisplay.textContent = `${Math.round(1000 / avg)} FPS`;
+            this._fps = Math.round(1000 / avg);
+            this.fpsDisplay.textContent = `${this._fps} FPS`;
         }
     }
 }
+
+/**
+ * Format the HUD time label: `00:03.2 / frame 96` when the capture has a
+ * real-world duration (and frame rate), otherwise model time as `t=0.500`.
+ */
+function formatTimecode(normalizedTime, timecode) {
+    if (!timecode) return `t=${normalizedTime.toFixed(3)}`;
+    if (timecode.seconds === null) return `t=${timecode.actualTime.toFixed(3)}`;
+
+    const total = Math.round(Math.max(0, timecode.seconds) * 10) / 10;
+    const minutes = Math.floor(total / 60);
+    const seconds = (total - minutes * 60).toFixed(1).padStart(4, '0');
+    const clock = `${String(minutes).padStart(2, '0')}:${seconds}`;
+    return timecode.frame === null ? clock : `${clock} / frame ${timecode.frame}`;
+}
+
+/**
+ * Whether letter keys pressed on an element go into it: text and number
+ * fields, selects (type-ahead) and editable content. Sliders and checkboxes
+ * keep focus after a click but ignore letters, so shortcuts still apply.
+ */
+function isFormControl(element) {
+    if (!(element instanceof HTMLElement)) return false;
+    if (element instanceof HTMLInputElement) return !['range', 'checkbox', 'button'].includes(element.type);
+    return element.isContentEditable || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA';
+}
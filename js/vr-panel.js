@@ -0,0 +1,509 @@
+/**
+ * World-space control panel for VR sessions.
+ *
+ * A canvas texture on a small plane shows the same state as the desktop HUD
+ * (scene carousel, play/pause, time and speed sliders, FPS and splat count)
+ * and is operated with a controller ray and trigger (or a hand's ray and
+ * pinch): point at a button and pull to press it, or pull on a slider and
+ * drag along it.
+ *
+ * Further pages hold the VR comfort settings (movement, turning, vignette,
+ * height), each a button that cycles through its choices, and the splats'
+ * placement (after a two-handed grab) with reset and save buttons, and in
+ * AR a button to put the scene down on another surface.
+ *
+ * The panel rides on the left controller like a wrist menu; the X button
+ * (or the palm-up hand gesture) hides or shows it. Without a left controller
+ * it floats in front of the viewer when shown, and either hand can point at it.
+ */
+
+import * as THREE from 'three';
+
+const CANVAS_WIDTH = 640;
+const CANVAS_HEIGHT = 384;
+const PANEL_WIDTH = 0.25; // metres
+const PANEL_HEIGHT = PANEL_WIDTH * CANVAS_HEIGHT / CANVAS_WIDTH;
+const RAY_LENGTH = 3;
+const FLOAT_DISTANCE = 0.6;
+// Time and FPS readouts change every frame; the canvas is redrawn (and the
+// texture re-uploaded) at most this often unless the page or hover changes
+const REDRAW_INTERVAL = 100; // ms
+const SPEED_MIN = 0.1;
+const SPEED_MAX = 3.0;
+
+// xr-standard gamepad mapping
+const X_BUTTON = 4;
+
+// Comfort settings rows; each press moves to the next option
+const SETTING_ROWS = [
+    { id: 'locomotion', label: 'Movement', options: [
+        { value: { locomotion: 'smooth' }, text: 'Smooth' },
+        { value: { locomotion: 'teleport' }, text: 'Teleport' },
+    ] },
+    { id: 'turn', label: 'Turning', options: [
+        ...[15, 30, 45, 90].map(angle => ({ value: { turn: 'snap', snapAngle: angle }, text: `Snap ${angle}°` })),
+        { value: { turn: 'smooth' }, text: 'Smooth' },
+    ] },
+    { id: 'moveSpeed', label: 'Move speed', options:
+        [1, 1.5, 2, 3, 4].map(speed => ({ value: { moveSpeed: speed }, text: `${speed} m/s` })) },
+    { id: 'vignette', label: 'Vignette', options: [
+        { value: { vignette: true }, text: 'On' },
+        { value: { vignette: false }, text: 'Off' },
+    ] },
+    { id: 'height', label: 'Height', options: [
+        { value: { posture: 'standing' }, text: 'Standing' },
+        ...[0.3, 0.5, 0.7].map(offset => ({ value: { posture: 'seated', seatedOffset: offset }, text: `Seated +${offset} m` })),
+    ] },
+];
+
+// Widget rectangles in canvas pixels, per page
+const PAGES = {
+    main: [
+        { id: 'prev', kind: 'button', x: 16, y: 16, w: 72, h: 64 },
+        { id: 'next', kind: 'button', x: 552, y: 16, w: 72, h: 64 },
+        { id: 'play', kind: 'button', x: 16, y: 100, w: 72, h: 64 },
+        { id: 'time', kind: 'slider', x: 112, y: 100, w: 504, h: 64 },
+        { id: 'speed', kind: 'slider', x: 112, y: 216, w: 400, h: 64 },
+        { id: 'placement', kind: 'button', x: 464, y: 300, w: 72, h: 64 },
+        { id: 'settings', kind: 'button', x: 552, y: 300, w: 72, h: 64 },
+    ],
+    placement: [
+        { id: 'back', kind: 'button', x: 16, y: 12, w: 72, h: 52 },
+        { id: 'reset', kind: 'button', x: 16, y: 208, w: 296, h: 64 },
+        { id: 'save', kind: 'button', x: 328, y: 208, w: 296, h: 64 },
+        { id: 'surface', kind: 'button', x: 472, y: 12, w: 152, h: 52 },
+    ],
+    settings: [
+        { id: 'back', kind: 'button', x: 16, y: 12, w: 72, h: 52 },
+        ...SETTING_ROWS.map((row, i) => ({ id: row.id, kind: 'cycle', row, x: 16, y: 72 + i * 60, w: 608, h: 52 })),
+    ],
+};
+const SLIDER_INSET = 16;
+
+function widgetAt(widgets, x, y) {
+    return widgets.find(w => x >= w.x && x <= w.x + w.w && y >= w.y && y <= w.y + w.h) ?? null;
+}
+
+/** Index of the row option matching the settings, or -1 for a custom value. */
+function currentOption(row, settings) {
+    return row.options.findIndex(option => Object.entries(option.value).every(([key, value]) => settings[key] === value));
+}
+
+/** Position along a slider's track, in [0, 1]. */
+function sliderFraction(widget, x) {
+    const fraction = (x - widget.x - SLIDER_INSET) / (widget.w - 2 * SLIDER_INSET);
+    return Math.max(0, Math.min(1, fraction));
+}
+
+export class VRPanel {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - with XR enabled
+     * @param {THREE.Camera} camera - the XR camera (a child of rig)
+     * @param {THREE.Group} rig - camera rig; controllers are added to it
+     */
+    constructor(renderer, camera, rig) {
+        this.renderer = renderer;
+        this.camera = camera;
+        this.rig = rig;
+        /** Whether the panel is shown (X toggles it). */
+        this.visible = true;
+
+        /** @type {function|null} callback() */
+        this.onPlayPause = null;
+        /** @type {function|null} callback(normalizedTime: number) */
+        this.onTimeChange = null;
+        /** @type {function|null} callback(speed: number) */
+        this.onSpeedChange = null;
+        /** @type {function|null} callback(delta: number) — step the scene carousel */
+        this.onSceneStep = null;
+        /** @type {function|null} callback(settings: object) — comfort settings changed */
+        this.onSettingsChange = null;
+        /** @type {function|null} callback() — put the splats back at the manifest placement */
+        this.onPlacementReset = null;
+        /** @type {function|null} callback() — save the placement as the scene default */
+        this.onPlacementSave = null;
+        /** @type {function|null} callback() — AR: show the reticle to pick another surface */
+        this.onPlacementSurface = null;
+        /** @type {function|null} () => {position, rotation, scale, status}|null —
+         *  the splats' placement (null without a scene), read for the ✥ page */
+        this.getPlacement = null;
+
+        this._canvas = document.createElement('canvas');
+        this._canvas.width = CANVAS_WIDTH;
+        this._canvas.height = CANVAS_HEIGHT;
+        this._ctx = this._canvas.getContext('2d');
+        this._texture = new THREE.CanvasTexture(this._canvas);
+        this._texture.colorSpace = THREE.SRGBColorSpace;
+
+        // Drawn after the splats and on top of them, so it is never hidden
+        // inside the scene
+        this.mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT),
+            new THREE.MeshBasicMaterial({ map: this._texture, transparent: true, depthTest: false, depthWrite: false }),
+        );
+        this.mesh.renderOrder = 1000;
+        this.mesh.visible = false;
+
+        this._raycaster = new THREE.Raycaster();
+        this._state = null;
+        this._drawnKey = '';
+        this._drawnView = '';
+        this._drawnAt = -Infinity;
+        this._page = 'main';
+        this._hover = null;     // widget id under a ray
+        this._attachedTo = null;
+        this._prevToggle = false;
+
+        // Controller slots: target-ray space (pointing) and grip space
+        // (holding the panel), with the input source seen on 'connected'
+        this._controllers = [0, 1].map((i) => {
+            const ray = renderer.xr.getController(i);
+            const grip = renderer.xr.getControllerGrip(i);
+            const slot = { ray, grip, source: null, line: createLaser(), selecting: false, pressed: false, drag: null };
+            ray.add(slot.line);
+            // 'select' is the trigger on controllers and a pinch on tracked hands
+            ray.addEventListener('selectstart', () => { slot.selecting = true; });
+            ray.addEventListener('selectend', () => { slot.selecting = false; });
+            ray.addEventListener('connected', (e) => { slot.source = e.data; });
+            ray.addEventListener('disconnected', () => {
+                slot.source = null;
+                slot.selecting = false;
+                slot.drag = null;
+            });
+            rig.add(ray, grip);
+            return slot;
+        });
+    }
+
+    /**
+     * True while a ray is on the panel or dragging one of its sliders; the
+     * trigger then belongs to the panel rather than to play/pause.
+     */
+    get capturesTrigger() {
+        return this._controllers.some(slot => slot.drag !== null || slot.line.userData.onPanel);
+    }
+
+    /** Hide or show the panel. */
+    toggle() {
+        this.visible = !this.visible;
+        if (this.visible && this._attachedTo === this.rig) this._placeInFront();
+    }
+
+    /**
+     * Call once per frame while presenting.
+     * @param {object} state - HUD state (UI.getState()) plus `temporal`,
+     *   whether the scene has time to control, `vrSettings` and `ar`, true
+     *   in a passthrough AR session
+     */
+    update(state) {
+        this._state = state;
+        const presenting = this.renderer.xr.isPresenting;
+        const left = this._controllers.find(slot => slot.source?.handedness === 'left' && slot.source.gamepad);
+
+        // X on the left controller toggles the panel
+        const toggle = left?.source.gamepad.buttons[X_BUTTON]?.pressed ?? false;
+        if (toggle && !this._prevToggle) this.toggle();
+        this._prevToggle = toggle;
+
+        this._attach(left ? left.grip : this.rig);
+        this.mesh.visible = presenting && this.visible;
+
+        this._hover = null;
+        for (const slot of this._controllers) {
+            // The hand holding the panel can't point at it
+            const canPoint = this.mesh.visible && slot.source && slot !== left && slot.source.targetRayMode === 'tracked-pointer';
+            slot.line.visible = !!canPoint;
+            slot.line.userData.onPanel = false;
+            if (!canPoint) {
+                slot.drag = null;
+                continue;
+            }
+            this._pointer(slot);
+        }
+
+        if (this.mesh.visible) this._redraw();
+    }
+
+    /** Raycast one controller against the panel and handle its trigger. */
+    _pointer(slot) {
+        const pressed = slot.selecting;
+        const justPressed = pressed && !slot.pressed;
+        slot.pressed = pressed;
+
+        this.mesh.updateMatrixWorld();
+        this._raycaster.setFromXRController(slot.ray);
+        const hit = this._raycaster.intersectObject(this.mesh, false)[0];
+        slot.line.scale.z = hit ? hit.distance : RAY_LENGTH;
+        if (!hit) {
+            if (!pressed) slot.drag = null;
+            return;
+        }
+
+        slot.line.userData.onPanel = true;
+        const x = hit.uv.x * CANVAS_WIDTH;
+        const y = (1 - hit.uv.y) * CANVAS_HEIGHT;
+        const widget = slot.drag ?? widgetAt(PAGES[this._page], x, y);
+        this._hover = widget?.id ?? null;
+
+        if (!pressed) {
+            slot.drag = null;
+        } else if (justPressed && widget) {
+            if (widget.kind === 'slider') {
+                slot.drag = widget;
+                this._slide(widget, x);
+            } else {
+                this._press(widget);
+            }
+        } else if (slot.drag) {
+            this._slide(slot.drag, x);
+        }
+    }
+
+    _press(widget) {
+        const state = this._state;
+        if (widget.kind === 'cycle') {
+            const options = widget.row.options;
+            const next = options[(currentOption(widget.row, state.vrSettings) + 1) % options.length];
+            if (this.onSettingsChange) this.onSettingsChange({ ...state.vrSettings, ...next.value });
+        } else if (widget.id === 'settings' || widget.id === 'placement') {
+            this._page = widget.id;
+        } else if (widget.id === 'back') {
+            this._page = 'main';
+        } else if (widget.id === 'reset') {
+            if (this._placement() && this.onPlacementReset) this.onPlacementReset();
+        } else if (widget.id === 'save') {
+            if (this._placement() && this.onPlacementSave) this.onPlacementSave();
+        } else if (widget.id === 'surface') {
+            if (state.ar && this._placement() && this.onPlacementSurface) this.onPlacementSurface();
+        } else if (widget.id === 'play') {
+            if (state.temporal && this.onPlayPause) this.onPlayPause();
+        } else if (!state.switching && !state.exporting && this.onSceneStep) {
+            this.onSceneStep(widget.id === 'prev' ? -1 : 1);
+        }
+    }
+
+    _placement() {
+        return this.getPlacement?.() ?? null;
+    }
+
+    _slide(widget, x) {
+        const fraction = sliderFraction(widget, x);
+        if (widget.id === 'time') {
+            if (this._state.temporal && this.onTimeChange) this.onTimeChange(fraction);
+        } else if (this._state.temporal && this.onSpeedChange) {
+            // Steps of 0.1x, like the HUD slider
+            this.onSpeedChange(Math.round((SPEED_MIN + fraction * (SPEED_MAX - SPEED_MIN)) * 10) / 10);
+        }
+    }
+
+    /** Parent the panel to the left grip, or float it in the rig. */
+    _attach(parent) {
+        if (this._attachedTo === parent) return;
+        this._attachedTo = parent;
+        parent.add(this.mesh);
+        if (parent === this.rig) {
+            this._placeInFront();
+        } else {
+            // Above the controller, tilted back towards the viewer
+            this.mesh.position.set(0, 0.07, -0.06);
+            this.mesh.rotation.set(-Math.PI / 4, 0, 0);
+        }
+    }
+
+    /** Float the panel at arm's length in the viewer's current heading. */
+    _placeInFront() {
+        const heading = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ').y;
+        this.mesh.position.set(
+            this.camera.position.x - Math.sin(heading) * FLOAT_DISTANCE,
+            this.camera.position.y - 0.2,
+            this.camera.position.z - Math.cos(heading) * FLOAT_DISTANCE,
+        );
+        this.mesh.rotation.set(-0.3, heading, 0, 'YXZ');
+    }
+
+    /** Redraw the canvas when anything it shows has changed. */
+    _redraw() {
+        // Page and hover changes show at once, playback readouts a few times a second
+        const now = performance.now();
+        const view = `${this._page}|${this._hover}`;
+        if (view === this._drawnView && now - this._drawnAt < REDRAW_INTERVAL) return;
+        const state = this._state;
+        // Only worked out while its page is shown
+        const placement = this._page === 'placement' ? this._placement() : null;
+        const key = JSON.stringify([state, placement, view]);
+        if (key === this._drawnKey) return;
+        this._drawnKey = key;
+        this._drawnView = view;
+        this._drawnAt = now;
+
+        const ctx = this._ctx;
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.fillStyle = 'rgba(20, 20, 24, 0.88)';
+        roundRect(ctx, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT, 24);
+        ctx.fill();
+        if (this._page === 'settings') {
+            this._drawSettings(ctx, state.vrSettings);
+        } else if (this._page === 'placement') {
+            this._drawPlacement(ctx, placement, state.ar);
+        } else {
+            this._drawMain(ctx, state);
+        }
+        this._texture.needsUpdate = true;
+    }
+
+    _button(ctx, id, glyph, enabled) {
+        const w = PAGES[this._page].find(widget => widget.id === id);
+        ctx.fillStyle = !enabled ? '#222' : this._hover === id ? '#555' : '#333';
+        roundRect(ctx, w.x, w.y, w.w, w.h, 12);
+        ctx.fill();
+        ctx.fillStyle = enabled ? '#eee' : '#666';
+        ctx.font = '32px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(glyph, w.x + w.w / 2, w.y + w.h / 2 + 2);
+    }
+
+    _drawMain(ctx, state) {
+        const carouselEnabled = state.sceneCount > 1 && !state.switching && !state.exporting;
+        this._button(ctx, 'prev', '◀', carouselEnabled);
+        this._button(ctx, 'next', '▶', carouselEnabled);
+        this._button(ctx, 'play', state.isPlaying ? '❚❚' : '▶', state.temporal);
+        this._button(ctx, 'placement', '✥', true);
+        this._button(ctx, 'settings', '⚙', true);
+
+        // Scene title, shortened to fit between the carousel buttons
+        const title = state.switching
+            ? 'Loading...'
+            : `${state.sceneTitle} (${state.sceneIndex + 1}/${state.sceneCount})`;
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillStyle = '#eee';
+        ctx.fillText(fitText(ctx, title, 440), CANVAS_WIDTH / 2, 50);
+
+        const slider = (id, fraction, enabled) => {
+            const w = PAGES.main.find(widget => widget.id === id);
+            const x0 = w.x + SLIDER_INSET;
+            const width = w.w - 2 * SLIDER_INSET;
+            const y = w.y + w.h / 2;
+            ctx.fillStyle = '#444';
+            roundRect(ctx, x0, y - 4, width, 8, 4);
+            ctx.fill();
+            if (!enabled) return;
+            ctx.fillStyle = '#4a9eff';
+            roundRect(ctx, x0, y - 4, width * fraction, 8, 4);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(x0 + width * fraction, y, this._hover === id ? 16 : 12, 0, Math.PI * 2);
+            ctx.fillStyle = '#fff';
+            ctx.fill();
+        };
+        slider('time', state.normalizedTime, state.temporal);
+        const speed = Math.max(SPEED_MIN, Math.min(SPEED_MAX, state.speed));
+        slider('speed', (speed - SPEED_MIN) / (SPEED_MAX - SPEED_MIN), state.temporal);
+
+        ctx.font = '24px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ccc';
+        ctx.fillText(state.temporal ? state.timeLabel : 'Static scene', 128, 190);
+        ctx.fillText('Speed', 24, 248);
+        ctx.fillText(`${state.speed.toFixed(1)}x`, 528, 248);
+
+        ctx.fillStyle = '#888';
+        const readouts = [];
+        if (state.fps !== null) readouts.push(`${state.fps} FPS`);
+        if (state.splatCount !== null) readouts.push(`${state.splatCount.toLocaleString()} splats`);
+        ctx.fillText(readouts.join(' · '), 24, 336);
+    }
+
+    _drawPlacement(ctx, placement, ar) {
+        this._button(ctx, 'back', '◀', true);
+        if (ar) this._button(ctx, 'surface', '◎ Place', !!placement);
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillStyle = '#eee';
+        ctx.fillText('Placement', CANVAS_WIDTH / 2, 40);
+
+        ctx.font = '24px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ccc';
+        if (placement) {
+            const position = placement.position.map(v => v.toFixed(2)).join(', ');
+            ctx.fillText(`Scale ${placement.scale.toFixed(2)}×   Yaw ${placement.rotation[1].toFixed(0)}°`, 24, 104);
+            ctx.fillText(`Position ${position}`, 24, 144);
+        } else {
+            ctx.fillText('No scene loaded', 24, 104);
+        }
+        ctx.fillStyle = '#888';
+        ctx.fillText('Hold both grips (or pinch with both hands) to move,', 24, 300);
+        ctx.fillText('turn and scale the scene.', 24, 330);
+        if (placement?.status) {
+            ctx.fillStyle = '#4a9eff';
+            ctx.fillText(fitText(ctx, placement.status, 592), 24, 176);
+        }
+
+        for (const [id, label] of [['reset', 'Reset'], ['save', 'Save as default']]) {
+            const w = PAGES.placement.find(widget => widget.id === id);
+            ctx.fillStyle = !placement ? '#222' : this._hover === id ? '#555' : '#333';
+            roundRect(ctx, w.x, w.y, w.w, w.h, 12);
+            ctx.fill();
+            ctx.fillStyle = placement ? '#eee' : '#666';
+            ctx.textAlign = 'center';
+            ctx.fillText(label, w.x + w.w / 2, w.y + w.h / 2);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    _drawSettings(ctx, settings) {
+        this._button(ctx, 'back', '◀', true);
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillStyle = '#eee';
+        ctx.fillText('Comfort', CANVAS_WIDTH / 2, 40);
+
+        for (const w of PAGES.settings) {
+            if (w.kind !== 'cycle') continue;
+            ctx.fillStyle = this._hover === w.id ? '#555' : '#333';
+            roundRect(ctx, w.x, w.y, w.w, w.h, 12);
+            ctx.fill();
+            const index = currentOption(w.row, settings);
+            ctx.font = '24px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(w.row.label, w.x + 20, w.y + w.h / 2);
+            ctx.textAlign = 'right';
+            ctx.fillStyle = '#4a9eff';
+            ctx.fillText(index >= 0 ? w.row.options[index].text : 'Custom', w.x + w.w - 20, w.y + w.h / 2);
+        }
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this._texture.dispose();
+        for (const slot of this._controllers) {
+            slot.line.geometry.dispose();
+            slot.line.material.dispose();
+        }
+    }
+}
+
+/** Unit-length pointer ray along the controller's -Z, scaled to the hit. */
+function createLaser() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]);
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x4a9eff, transparent: true, opacity: 0.8 }));
+    line.scale.z = RAY_LENGTH;
+    line.renderOrder = 1000;
+    line.visible = false;
+    return line;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.roundRect(x, y, Math.max(w, 0), h, Math.min(r, w / 2));
+}
+
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+    return `${text.slice(0, end)}…`;
+}
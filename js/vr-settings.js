@@ -0,0 +1,77 @@
+/**
+ * VR comfort settings (locomotion, turning, vignette, height), stored per
+ * device in localStorage so a headset keeps its own preferences.
+ */
+
+const STORAGE_KEY = 'freesplat4d.vrSettings';
+
+export const VR_SETTINGS_DEFAULTS = Object.freeze({
+    locomotion: 'smooth',   // 'smooth' thumbstick movement | 'teleport' arc
+    turn: 'snap',           // 'snap' | 'smooth'
+    snapAngle: 30,          // degrees per snap turn
+    turnSpeed: 90,          // degrees per second of smooth turning
+    moveSpeed: 2.0,         // metres per second of smooth movement
+    vignette: true,         // darken the edges of view while moving smoothly
+    posture: 'standing',    // 'standing' | 'seated'
+    seatedOffset: 0.5,      // metres added to eye height when seated
+});
+
+const CHOICES = {
+    locomotion: ['smooth', 'teleport'],
+    turn: ['snap', 'smooth'],
+    posture: ['standing', 'seated'],
+};
+
+const RANGES = {
+    snapAngle: [5, 180],
+    turnSpeed: [10, 360],
+    moveSpeed: [0.2, 10],
+    seatedOffset: [0, 1.5],
+};
+
+/**
+ * Fill in defaults for missing or invalid values and drop unknown keys.
+ * @param {object} [raw]
+ * @returns {object} complete settings (see VR_SETTINGS_DEFAULTS)
+ */
+export function normalizeVRSettings(raw = {}) {
+    const settings = { ...VR_SETTINGS_DEFAULTS };
+    if (typeof raw !== 'object' || raw === null) return settings;
+    for (const [key, options] of Object.entries(CHOICES)) {
+        if (options.includes(raw[key])) settings[key] = raw[key];
+    }
+    for (const [key, [min, max]] of Object.entries(RANGES)) {
+        if (Number.isFinite(raw[key])) settings[key] = Math.max(min, Math.min(max, raw[key]));
+    }
+    if (typeof raw.vignette === 'boolean') settings.vignette = raw.vignette;
+    return settings;
+}
+
+/**
+ * Settings saved on this device, or the defaults.
+ * @param {Storage} [storage=localStorage]
+ * @returns {object}
+ */
+export function loadVRSettings(storage = globalThis.localStorage) {
+    try {
+        const json = storage?.getItem(STORAGE_KEY);
+        return normalizeVRSettings(json ? JSON.parse(json) : {});
+    } catch (e) {
+        // Storage disabled (private browsing) or a corrupt entry
+        console.warn('Could not read VR settings:', e.message);
+        return normalizeVRSettings();
+    }
+}
+
+/**
+ * Save settings on this device; failures (storage full or disabled) only warn.
+ * @param {object} settings
+ * @param {Storage} [storage=localStorage]
+ */
+export function saveVRSettings(settings, storage = globalThis.localStorage) {
+    try {
+        storage?.setItem(STORAGE_KEY, JSON.stringify(normalizeVRSettings(settings)));
+    } catch (e) {
+        console.warn('Could not save VR settings:', e.message);
+    }
+}
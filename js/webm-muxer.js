@@ -0,0 +1,198 @@
+/**
+ * Minimal WebM (Matroska) muxer for a single video track of encoded frames,
+ * such as the output of a WebCodecs VideoEncoder.
+ *
+ * The file is assembled in memory once all frames are in, so every element
+ * gets its exact size and the header carries the duration. Timestamps are in
+ * milliseconds (TimecodeScale 1 ms); a new cluster starts at each keyframe
+ * and before a block's offset would overflow its 16-bit field.
+ */
+
+/** WebM codec IDs for the WebCodecs codecs the exporter uses. */
+export const WEBM_CODEC_IDS = Object.freeze({
+    vp8: 'V_VP8',
+    vp9: 'V_VP9',
+    av1: 'V_AV1',
+});
+
+const ID = {
+    EBML: 0x1a45dfa3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42f7,
+    EBMLMaxIDLength: 0x42f2,
+    EBMLMaxSizeLength: 0x42f3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549a966,
+    TimecodeScale: 0x2ad7b1,
+    MuxingApp: 0x4d80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUID: 0x73c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    CodecID: 0x86,
+    CodecPrivate: 0x63a2,
+    DefaultDuration: 0x23e383,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f43b675,
+    Timecode: 0xe7,
+    SimpleBlock: 0xa3,
+};
+
+const MAX_BLOCK_OFFSET = 0x7fff;
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function idBytes(id) {
+    const bytes = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+    return Uint8Array.from(bytes);
+}
+
+/** EBML variable-length size (the shortest form that fits). */
+function sizeBytes(size) {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    let v = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = v % 256;
+        v = Math.floor(v / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function element(id, payload) {
+    return concat([idBytes(id), sizeBytes(payload.length), payload]);
+}
+
+function master(id, children) {
+    return element(id, concat(children));
+}
+
+function uint(id, value) {
+    const bytes = [];
+    let v = value;
+    do {
+        bytes.unshift(v % 256);
+        v = Math.floor(v / 256);
+    } while (v > 0);
+    return element(id, Uint8Array.from(bytes));
+}
+
+function float(id, value) {
+    const payload = new Uint8Array(8);
+    new DataView(payload.buffer).setFloat64(0, value);
+    return element(id, payload);
+}
+
+function string(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+export class WebMMuxer {
+    /**
+     * @param {object} options
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {string} options.codec - a WEBM_CODEC_IDS key
+     * @param {number} [options.frameRate] - recorded as the default frame duration
+     * @param {Uint8Array} [options.codecPrivate] - decoder config (AV1 needs it)
+     */
+    constructor({ width, height, codec, frameRate, codecPrivate }) {
+        if (!(codec in WEBM_CODEC_IDS)) {
+            throw new Error(`Unsupported WebM codec "${codec}" (expected ${Object.keys(WEBM_CODEC_IDS).join(', ')})`);
+        }
+        this.width = width;
+        this.height = height;
+        this.codec = codec;
+        this.frameRate = frameRate;
+        this.codecPrivate = codecPrivate;
+        this._clusters = [];
+        this._cluster = null;
+        this._duration = 0;
+    }
+
+    /**
+     * Add an encoded frame. Frames must arrive in timestamp order and the
+     * first one must be a keyframe.
+     * @param {Uint8Array} data
+     * @param {number} timestamp - milliseconds
+     * @param {boolean} keyframe
+     * @param {number} [duration] - milliseconds, for the file duration
+     */
+    addFrame(data, timestamp, keyframe, duration = 0) {
+        const time = Math.round(timestamp);
+        if (!this._cluster && !keyframe) throw new Error('The first WebM frame must be a keyframe');
+        if (!this._cluster || keyframe || time - this._cluster.timecode > MAX_BLOCK_OFFSET) {
+            this._cluster = { timecode: time, blocks: [] };
+            this._clusters.push(this._cluster);
+        }
+
+        const header = new Uint8Array(4);
+        header[0] = 0x81;   // track number 1 as a 1-byte size
+        new DataView(header.buffer).setInt16(1, time - this._cluster.timecode);
+        header[3] = keyframe ? 0x80 : 0x00;
+        this._cluster.blocks.push(element(ID.SimpleBlock, concat([header, data])));
+        this._duration = Math.max(this._duration, time + duration);
+    }
+
+    /**
+     * Assemble the file.
+     * @returns {Blob} video/webm
+     */
+    finish() {
+        const header = master(ID.EBML, [
+            uint(ID.EBMLVersion, 1),
+            uint(ID.EBMLReadVersion, 1),
+            uint(ID.EBMLMaxIDLength, 4),
+            uint(ID.EBMLMaxSizeLength, 8),
+            string(ID.DocType, 'webm'),
+            uint(ID.DocTypeVersion, 2),
+            uint(ID.DocTypeReadVersion, 2),
+        ]);
+
+        const info = master(ID.Info, [
+            uint(ID.TimecodeScale, 1000000),
+            string(ID.MuxingApp, 'FreeSplat4D'),
+            string(ID.WritingApp, 'FreeSplat4D Viewer'),
+            float(ID.Duration, this._duration),
+        ]);
+
+        const track = [
+            uint(ID.TrackNumber, 1),
+            uint(ID.TrackUID, 1),
+            uint(ID.TrackType, 1),
+            uint(ID.FlagLacing, 0),
+            string(ID.CodecID, WEBM_CODEC_IDS[this.codec]),
+        ];
+        if (this.codecPrivate) track.push(element(ID.CodecPrivate, this.codecPrivate));
+        if (this.frameRate) track.push(uint(ID.DefaultDuration, Math.round(1e9 / this.frameRate)));
+        track.push(master(ID.Video, [uint(ID.PixelWidth, this.width), uint(ID.PixelHeight, this.height)]));
+        const tracks = master(ID.Tracks, [master(ID.TrackEntry, track)]);
+
+        const clusters = this._clusters.map(cluster =>
+            master(ID.Cluster, [uint(ID.Timecode, cluster.timecode), ...cluster.blocks]));
+
+        const segment = [info, tracks, ...clusters];
+        const segmentSize = segment.reduce((sum, part) => sum + part.length, 0);
+        return new Blob([header, idBytes(ID.Segment), sizeBytes(segmentSize), ...segment], { type: 'video/webm' });
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Minimal ZIP archive writer for bundling exported frames.
+ *
+ * Entries are stored uncompressed: PNG data is already deflated, so a second
+ * pass would cost time for almost no gain. No ZIP64, so an archive must stay
+ * under 4 GiB and 65535 entries.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 (IEEE) of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date fields for a Date. */
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+const MAX_ZIP_BYTES = 0xffffffff;
+
+export class ZipWriter {
+    /**
+     * @param {object} [options]
+     * @param {Date} [options.date] - modification time recorded for every entry
+     */
+    constructor({ date = new Date() } = {}) {
+        this._stamp = dosDateTime(date);
+        this._parts = [];
+        this._central = [];
+        this._offset = 0;
+        this._count = 0;
+    }
+
+    /**
+     * Append a file.
+     * @param {string} name - path inside the archive ('/'-separated)
+     * @param {Uint8Array} data
+     * @throws {Error} if the archive would exceed 4 GiB or 65535 entries
+     */
+    add(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        if (this._count === 0xffff) throw new Error('ZIP archive is limited to 65535 entries');
+        if (this._offset + 30 + nameBytes.length + data.length > MAX_ZIP_BYTES) {
+            throw new Error('ZIP archive would exceed 4 GiB; export fewer or smaller frames');
+        }
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);               // version needed
+        local.setUint16(6, 0x0800, true);           // UTF-8 names
+        local.setUint16(8, 0, true);                // stored
+        local.setUint16(10, this._stamp.time, true);
+        local.setUint16(12, this._stamp.day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        this._parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        // Central directory record, written by finish()
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);             // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, this._stamp.time, true);
+        central.setUint16(14, this._stamp.day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, this._offset, true);
+        this._central.push(new Uint8Array(central.buffer), nameBytes);
+
+        this._offset += 30 + nameBytes.length + data.length;
+        this._count++;
+    }
+
+    /**
+     * Close the archive.
+     * @returns {Blob} application/zip
+     */
+    finish() {
+        const centralSize = this._central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this._count, true);
+        end.setUint16(10, this._count, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this._offset, true);
+        return new Blob([...this._parts, ...this._central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Generate scenes.json for a data directory, to upload alongside its scenes.
+ *
+ * Usage:
+ *   node scripts/build-manifest.js <data-dir> [--out file] [--no-hash] [--strict]
+ *
+ * Examples:
+ *   node scripts/build-manifest.js public/                  # writes public/scenes.json
+ *   node scripts/build-manifest.js /mnt/r2-public --out /tmp/scenes.json --strict
+ *
+ * Every subfolder with scene.spz or scene.ply becomes an entry (see
+ * scripts/scan-scenes.js), with its splat count, sidecar header summary, file
+ * sizes and SHA-256 hashes. Paths are relative to <data-dir>, matching how the
+ * viewer resolves an R2 manifest against the bucket's base URL.
+ *
+ * Problems (unreadable files, sidecar/splat count mismatches) are printed;
+ * --strict turns them into a non-zero exit without writing the manifest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { scanScenes } from './scan-scenes.js';
+import { normalizeManifest } from '../js/manifest.js';
+
+async function main(argv) {
+    const positional = [];
+    let outPath = null;
+    let hash = true;
+    let strict = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            outPath = argv[++i];
+            if (!outPath) throw new Error('--out expects a file path');
+        } else if (argv[i] === '--no-hash') {
+            hash = false;
+        } else if (argv[i] === '--strict') {
+            strict = true;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional.length !== 1) {
+        console.error('Usage: node scripts/build-manifest.js <data-dir> [--out file] [--no-hash] [--strict]');
+        process.exit(1);
+    }
+    const [dataDir] = positional;
+    if (!fs.existsSync(dataDir) || !fs.statSync(dataDir).isDirectory()) {
+        throw new Error(`${dataDir} is not a directory`);
+    }
+    outPath ??= path.join(dataDir, 'scenes.json');
+
+    const { scenes, problems } = await scanScenes(dataDir, { hash });
+
+    // Check the entries the way the viewer will read them, but write them
+    // as scanned so paths stay relative to the upload location
+    const { errors } = normalizeManifest(scenes);
+    for (const message of errors) problems.push({ name: 'manifest', message });
+
+    for (const entry of scenes) {
+        const count = entry.splatCount !== undefined ? `${entry.splatCount.toLocaleString()} splats` : 'unknown splat count';
+        const temporal = entry.temporal ? 'with sidecar' : 'static';
+        console.log(`${entry.name}: ${entry.files.ply.format}, ${count}, ${temporal}`);
+    }
+    for (const { name, message } of problems) {
+        console.warn(`warning: ${name}: ${message}`);
+    }
+
+    if (scenes.length === 0) {
+        throw new Error(`No scene folders (with scene.spz or scene.ply) in ${dataDir}`);
+    }
+    if (strict && problems.length > 0) {
+        throw new Error(`${problems.length} problem(s) found, manifest not written`);
+    }
+
+    fs.writeFileSync(outPath, `${JSON.stringify(scenes, null, 2)}\n`);
+    console.log(`Wrote ${outPath}: ${scenes.length} scene(s)`);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    console.error(`build-manifest: ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Re-encode a temporal sidecar (.4d.bin) as a v2 container.
+ *
+ * Usage:
+ *   node scripts/pack-4d.js <in.4d.bin> <out.4d.bin> [--encoding float32|float16|uint16]
+ *                           [--field name=encoding ...]
+ *                           [--range min,max] [--duration seconds] [--fps rate]
+ *
+ * Examples:
+ *   node scripts/pack-4d.js public/data/scene.4d.bin public/data/scene.4d.bin --encoding float16
+ *   node scripts/pack-4d.js in.4d.bin out.4d.bin --field times=uint16 --field velocities=float16
+ *   node scripts/pack-4d.js in.4d.bin out.4d.bin --range 0.1,0.9 --duration 4 --fps 30
+ *
+ * Field names: times, durations, velocities, accelerations, angularVelocities,
+ * motionCoefficients, opacityParams, opacityProfiles.
+ */
+
+import fs from 'fs';
+import { parseTemporalBinary, encodeTemporalBinary, FieldEncoding } from '../js/loader.js';
+
+const ENCODING_NAMES = {
+    float32: FieldEncoding.FLOAT32,
+    float16: FieldEncoding.FLOAT16,
+    uint16: FieldEncoding.UINT16,
+};
+const FIELD_NAMES = [
+    'times', 'durations', 'velocities', 'accelerations', 'angularVelocities',
+    'motionCoefficients', 'opacityParams', 'opacityProfiles',
+];
+
+function parseEncoding(name) {
+    if (!(name in ENCODING_NAMES)) {
+        throw new Error(`Unknown encoding "${name}" (expected ${Object.keys(ENCODING_NAMES).join(', ')})`);
+    }
+    return ENCODING_NAMES[name];
+}
+
+function parsePositive(flag, value) {
+    const n = Number(value);
+    if (!(n > 0)) throw new Error(`${flag} expects a positive number, got "${value}"`);
+    return n;
+}
+
+function main(argv) {
+    const positional = [];
+    const encodings = {};
+    let defaultEncoding = FieldEncoding.FLOAT32;
+    const playback = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--encoding') {
+            defaultEncoding = parseEncoding(argv[++i]);
+        } else if (argv[i] === '--field') {
+            const [field, enc] = (argv[++i] ?? '').split('=');
+            if (!FIELD_NAMES.includes(field)) {
+                throw new Error(`Unknown field "${field}" (expected ${FIELD_NAMES.join(', ')})`);
+            }
+            encodings[field] = parseEncoding(enc);
+        } else if (argv[i] === '--range') {
+            const range = (argv[++i] ?? '').split(',').map(Number);
+            if (range.length !== 2 || !(range[1] > range[0])) {
+                throw new Error(`--range expects "min,max" with max > min, got "${argv[i]}"`);
+            }
+            [playback.playbackMin, playback.playbackMax] = range;
+        } else if (argv[i] === '--duration') {
+            playback.captureDuration = parsePositive('--duration', argv[++i]);
+        } else if (argv[i] === '--fps') {
+            playback.frameRate = parsePositive('--fps', argv[++i]);
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional.length !== 2) {
+        console.error('Usage: node scripts/pack-4d.js <in.4d.bin> <out.4d.bin> [--encoding float32|float16|uint16] ' +
+                      '[--field name=encoding ...] [--range min,max] [--duration seconds] [--fps rate]');
+        process.exit(1);
+    }
+    const [inPath, outPath] = positional;
+
+    for (const field of FIELD_NAMES) {
+        if (!(field in encodings)) encodings[field] = defaultEncoding;
+    }
+
+    const input = fs.readFileSync(inPath);
+    const data = parseTemporalBinary(input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength));
+    Object.assign(data, playback);
+    const output = encodeTemporalBinary(data, { encodings });
+    fs.writeFileSync(outPath, new Uint8Array(output));
+
+    const ratio = (output.byteLength / input.byteLength * 100).toFixed(1);
+    console.log(`Wrote ${outPath}: ${output.byteLength.toLocaleString()} bytes (${ratio}% of input)`);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (e) {
+    console.error(`pack-4d: ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,274 @@
+/**
+ * Scan a data directory for scenes and describe them as scenes.json entries.
+ *
+ * Shared by the dev server's virtual manifest (vite.config.js) and the
+ * build-manifest CLI. A scene is a folder holding scene.spz or scene.ply, plus
+ * optionally:
+ *   scene.4d.bin                      temporal sidecar
+ *   scene.json                        extra manifest fields (title, camera, ...)
+ *   thumbnail.{webp,jpg,png}          carousel image
+ *   camera-path.json                  default camera path (see js/camera-path.js)
+ *
+ * Entry paths are relative to the data directory, which is what the runtime
+ * resolves them against when the manifest is uploaded next to the assets.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { parseTemporalBinary, checkSplatCount, validateTemporalValues } from '../js/loader.js';
+import { getMotionModel } from '../js/motion.js';
+import { getOpacityProfile } from '../js/opacity.js';
+
+/** Splat file names, in order of preference when a folder has both. */
+const SPLAT_NAMES = ['scene.spz', 'scene.ply'];
+const TEMPORAL_NAME = 'scene.4d.bin';
+const METADATA_NAME = 'scene.json';
+const THUMBNAIL_NAMES = ['thumbnail.webp', 'thumbnail.jpg', 'thumbnail.png'];
+const CAMERA_PATH_NAME = 'camera-path.json';
+
+/** SPZ payload magic ("NGSP") after gunzip. */
+const SPZ_MAGIC = 0x5053474e;
+const SPZ_HEADER_BYTES = 16;
+/** PLY headers are text and short; this is plenty. */
+const PLY_HEADER_MAX_BYTES = 64 * 1024;
+
+function isGitLfsPointer(bytes) {
+    return Buffer.from(bytes.subarray(0, 40)).toString('latin1').startsWith('version https://git-lfs');
+}
+
+function readPrefix(file, maxBytes) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(maxBytes);
+        const bytesRead = fs.readSync(fd, buffer, 0, maxBytes, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function lfsHint(bytes) {
+    return isGitLfsPointer(bytes) ? ' (it is a Git LFS pointer; run "git lfs pull")' : '';
+}
+
+function notSplatError(file, format, bytes) {
+    return new Error(`${path.basename(file)} is not a ${format} file${lfsHint(bytes)}`);
+}
+
+/** Vertex count from a PLY header. */
+function readPlySplatCount(file) {
+    const bytes = readPrefix(file, PLY_HEADER_MAX_BYTES);
+    const text = bytes.toString('latin1');
+    const end = text.indexOf('end_header');
+    if (!text.startsWith('ply') || end < 0) throw notSplatError(file, 'PLY', bytes);
+
+    const match = /^element vertex (\d+)\s*$/m.exec(text.slice(0, end));
+    if (!match) throw new Error(`${path.basename(file)} has no "element vertex" line in its header`);
+    return Number(match[1]);
+}
+
+/** Point count from an SPZ header, decompressing only the first few bytes. */
+function readSpzSplatCount(file) {
+    const prefix = readPrefix(file, 2);
+    if (prefix[0] !== 0x1f || prefix[1] !== 0x8b) {
+        throw notSplatError(file, 'SPZ', readPrefix(file, 64));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        const input = fs.createReadStream(file);
+        const gunzip = zlib.createGunzip();
+        const finish = (error, count) => {
+            input.destroy();
+            gunzip.destroy();
+            if (error) reject(error);
+            else resolve(count);
+        };
+
+        gunzip.on('data', (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length < SPZ_HEADER_BYTES) return;
+            const header = Buffer.concat(chunks);
+            if (header.readUInt32LE(0) !== SPZ_MAGIC) {
+                finish(new Error(`${path.basename(file)} has no SPZ magic after decompression`));
+            } else {
+                finish(null, header.readUInt32LE(8));
+            }
+        });
+        gunzip.on('error', (e) => finish(new Error(`${path.basename(file)}: ${e.message}`)));
+        gunzip.on('end', () => finish(new Error(`${path.basename(file)} is shorter than an SPZ header`)));
+        input.on('error', finish);
+        input.pipe(gunzip);
+    });
+}
+
+function sha256(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/** Header summary of a sidecar for the manifest. */
+function describeTemporal(data) {
+    const info = {
+        version: data.version,
+        splatCount: data.splatCount,
+        timeRange: [data.timeMin, data.timeMax],
+        motion: `${getMotionModel(data.motionBasis).name}x${data.motionCoefficients.length}`,
+        opacity: data.opacityProfiles ? 'per-splat' : getOpacityProfile(data.opacityProfile).name,
+        angularVelocity: data.hasAngularVelocity,
+    };
+    if (data.playbackMin !== null) info.playbackRange = [data.playbackMin, data.playbackMax];
+    if (data.captureDuration) info.captureDuration = data.captureDuration;
+    if (data.frameRate) info.frameRate = data.frameRate;
+    return info;
+}
+
+/**
+ * Parse and validate a sidecar, adding its header summary to `info`.
+ * @returns {string[]} problems
+ */
+function inspectTemporal(file, info, splatCount, entry) {
+    const bytes = fs.readFileSync(file);
+    try {
+        const data = parseTemporalBinary(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        Object.assign(info, describeTemporal(data));
+        const urls = { splatUrl: entry.ply, temporalUrl: entry.temporal };
+        return [
+            ...(splatCount !== null ? checkSplatCount(data, splatCount, urls) : []),
+            ...validateTemporalValues(data, urls),
+        ];
+    } catch (e) {
+        return [`${TEMPORAL_NAME}: ${e.message}${lfsHint(bytes)}`];
+    }
+}
+
+/** Extra manifest fields from a folder's scene.json, with paths made relative to the data dir. */
+function readMetadata(dataDir, folder) {
+    const file = path.join(dataDir, folder, METADATA_NAME);
+    if (!fs.existsSync(file)) return {};
+    const metadata = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const key of ['ply', 'url', 'temporal', 'thumbnail', 'cameraPath']) {
+        if (typeof metadata[key] === 'string' && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(metadata[key])) {
+            metadata[key] = `${folder}/${metadata[key]}`;
+        }
+    }
+    return metadata;
+}
+
+/** Folders of a data directory that hold a scene, in natural order. */
+function listSceneFolders(dataDir) {
+    if (!fs.existsSync(dataDir)) return [];
+    return fs.readdirSync(dataDir, { withFileTypes: true })
+        .filter(d => d.isDirectory())
+        .filter(d => SPLAT_NAMES.some(f => fs.existsSync(path.join(dataDir, d.name, f))))
+        .map(d => d.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Merge fields into the scene.json of the folder holding the named scene
+ * (creating it if needed), e.g. to save a placement chosen in the viewer.
+ *
+ * @param {string} dataDir
+ * @param {string} name - manifest name (scene.json "name", or the folder name)
+ * @param {object} fields - manifest fields to set
+ * @returns {string} the written file, relative to dataDir
+ * @throws {Error} if no folder holds a scene with that name
+ */
+export function writeSceneMetadata(dataDir, name, fields) {
+    for (const folder of listSceneFolders(dataDir)) {
+        const file = path.join(dataDir, folder, METADATA_NAME);
+        const metadata = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        if ((metadata.name ?? folder) !== name) continue;
+        fs.writeFileSync(file, `${JSON.stringify({ ...metadata, ...fields }, null, 2)}\n`);
+        return `${folder}/${METADATA_NAME}`;
+    }
+    throw new Error(`No scene folder holds a scene named "${name}"`);
+}
+
+/**
+ * Describe one scene folder.
+ *
+ * @param {string} dataDir
+ * @param {string} folder - folder name inside dataDir
+ * @param {object} options - see scanScenes()
+ * @returns {Promise<{entry: object, problems: string[]}>}
+ */
+async function scanScene(dataDir, folder, { hash, validate }) {
+    const dir = path.join(dataDir, folder);
+    const problems = [];
+    const splatName = SPLAT_NAMES.find(f => fs.existsSync(path.join(dir, f)));
+    const splatFile = path.join(dir, splatName);
+    const format = path.extname(splatName).slice(1);
+
+    const entry = { name: folder, ply: `${folder}/${splatName}` };
+    const thumbnail = THUMBNAIL_NAMES.find(f => fs.existsSync(path.join(dir, f)));
+    if (thumbnail) entry.thumbnail = `${folder}/${thumbnail}`;
+    if (fs.existsSync(path.join(dir, CAMERA_PATH_NAME))) entry.cameraPath = `${folder}/${CAMERA_PATH_NAME}`;
+    try {
+        Object.assign(entry, readMetadata(dataDir, folder));
+    } catch (e) {
+        problems.push(`${METADATA_NAME}: ${e.message}`);
+    }
+
+    const files = { ply: { format, bytes: fs.statSync(splatFile).size } };
+    let splatCount = null;
+    try {
+        splatCount = format === 'spz' ? await readSpzSplatCount(splatFile) : readPlySplatCount(splatFile);
+        entry.splatCount = splatCount;
+        files.ply.splatCount = splatCount;
+    } catch (e) {
+        problems.push(e.message);
+    }
+    if (hash) files.ply.sha256 = await sha256(splatFile);
+
+    const temporalFile = path.join(dir, TEMPORAL_NAME);
+    if (!fs.existsSync(temporalFile)) {
+        // Static scene: tell the runtime not to look for a sidecar
+        entry.temporal = null;
+    } else {
+        if (!entry.temporal) entry.temporal = `${folder}/${TEMPORAL_NAME}`;
+        files.temporal = { bytes: fs.statSync(temporalFile).size };
+        if (validate) {
+            problems.push(...inspectTemporal(temporalFile, files.temporal, splatCount, entry));
+        }
+        if (hash) files.temporal.sha256 = await sha256(temporalFile);
+    }
+
+    entry.files = files;
+    return { entry, problems };
+}
+
+/**
+ * Scan every scene folder in a data directory.
+ *
+ * Scenes whose files can't be read are still listed (the runtime reports the
+ * failure when they are opened); their problems are returned alongside.
+ *
+ * @param {string} dataDir
+ * @param {object} [options]
+ * @param {boolean} [options.hash=true] - compute SHA-256 content hashes (reads every file)
+ * @param {boolean} [options.validate=true] - parse and validate sidecars (header
+ *   summary in files.temporal, splat count and value checks in problems)
+ * @returns {Promise<{scenes: object[], problems: {name: string, message: string}[]}>}
+ *   raw manifest entries (normalize with normalizeManifest()) in natural folder order
+ */
+export async function scanScenes(dataDir, { hash = true, validate = true } = {}) {
+    const scenes = [];
+    const problems = [];
+    for (const folder of listSceneFolders(dataDir)) {
+        const result = await scanScene(dataDir, folder, { hash, validate });
+        scenes.push(result.entry);
+        problems.push(...result.problems.map(message => ({ name: folder, message })));
+    }
+    return { scenes, problems };
+}
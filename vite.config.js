@@ -1,31 +1,52 @@
 import { defineConfig } from 'vite';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { normalizeManifest, normalizeSceneEntry } from './js/manifest.js';
+import { scanScenes, writeSceneMetadata } from './scripts/scan-scenes.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/** Parse a request's JSON body. */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
 /**
- * Vite plugin that scans public/ for folders containing scene.ply
- * and serves a virtual scenes.json manifest.
+ * Vite plugin that scans public/ for folders containing scene.spz or
+ * scene.ply and serves a virtual scenes.json manifest.
  * This allows any folder name — no naming convention required.
+ *
+ * A folder can add manifest fields (title, description, camera, transform,
+ * playback — see js/manifest.js) in a scene.json next to its splats, and a
+ * thumbnail.{webp,jpg,png} image for the carousel, and a camera-path.json
+ * fly-through. Hashing and sidecar validation are left to the build-manifest
+ * script, which writes the production manifest.
+ *
+ * POST /__scenes/placement { scene, transform } saves a placement chosen in
+ * the viewer (VR grab) as the transform in that scene's scene.json.
  */
 function scenesPlugin() {
     const publicDir = path.resolve(__dirname, 'public');
 
-    function discoverScenes() {
-        if (!fs.existsSync(publicDir)) return [];
-        return fs.readdirSync(publicDir, { withFileTypes: true })
-            .filter(d => d.isDirectory())
-            .filter(d => fs.existsSync(path.join(publicDir, d.name, 'scene.ply')))
-            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
-            .map(d => ({
-                name: d.name,
-                ply: `${d.name}/scene.ply`,
-                temporal: fs.existsSync(path.join(publicDir, d.name, 'scene.4d.bin'))
-                    ? `${d.name}/scene.4d.bin`
-                    : null,
-            }));
+    async function discoverScenes(logger) {
+        const { scenes: entries, problems } = await scanScenes(publicDir, { hash: false, validate: false });
+        for (const { name, message } of problems) logger.warn(`[scenes] ${name}: ${message}`);
+
+        const { scenes, errors } = normalizeManifest(entries);
+        for (const error of errors) logger.warn(`[scenes] ${error}`);
+        return scenes;
     }
 
     return {
@@ -34,18 +55,35 @@ function scenesPlugin() {
             server.middlewares.use((req, res, next) => {
                 const urlPath = req.url?.split('?')[0];
                 if (urlPath === '/scenes.json') {
-                    const scenes = discoverScenes();
-                    res.setHeader('Content-Type', 'application/json');
-                    res.setHeader('Cache-Control', 'no-cache');
-                    res.end(JSON.stringify(scenes));
+                    discoverScenes(server.config.logger).then((scenes) => {
+                        res.setHeader('Content-Type', 'application/json');
+                        res.setHeader('Cache-Control', 'no-cache');
+                        res.end(JSON.stringify(scenes));
+                    }, next);
+                    return;
+                }
+                if (urlPath === '/__scenes/placement' && req.method === 'POST') {
+                    readJsonBody(req).then(({ scene, transform }) => {
+                        // Validated like any manifest entry before it is written
+                        const entry = normalizeSceneEntry({ name: scene, ply: 'unused', transform });
+                        if (!entry.transform) throw new Error('Missing transform');
+                        const file = writeSceneMetadata(publicDir, entry.name, { transform: entry.transform });
+                        server.config.logger.info(`[scenes] saved placement of ${entry.name} to ${file}`);
+                        res.setHeader('Content-Type', 'application/json');
+                        res.end(JSON.stringify({ file }));
+                    }).catch((e) => {
+                        res.statusCode = 400;
+                        res.end(e.message);
+                    });
                     return;
                 }
                 next();
             });
         },
         generateBundle() {
-            // Don't emit a local scenes.json in production builds —
-            // the runtime fetches the manifest from R2 instead.
+            // Don't emit a local scenes.json in production builds — the
+            // runtime fetches the manifest from R2 instead. Generate it with
+            // `npm run build-manifest -- <data-dir>` and upload it with the assets.
         },
     };
 }